@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+function hashFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// A stage's fingerprint is the content hash of every input file plus a hash of its configuration.
+// Paths are stored relative to rootDir so the manifest survives moving the checkout.
+export function fingerprint(rootDir, inputPaths, config) {
+  return {
+    inputs: Object.fromEntries(inputPaths.map((filePath) => [path.relative(rootDir, filePath), hashFile(filePath)])),
+    config: hashValue(config)
+  };
+}
+
+// Records, per stage, the fingerprint it last ran with and the files it wrote. A stage is fresh
+// when its fingerprint is unchanged and all of those files still exist. Outputs are stored
+// relative to rootDir like the fingerprint inputs.
+export function openManifest(rootDir, manifestPath, { force = false } = {}) {
+  const stages = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')).stages ?? {} : {};
+
+  return {
+    isFresh(stage, current) {
+      const previous = stages[stage];
+      if (force || !previous) {
+        return false;
+      }
+      return JSON.stringify(previous.fingerprint) === JSON.stringify(current)
+        && previous.outputs.every((output) => fs.existsSync(path.resolve(rootDir, output)));
+    },
+    record(stage, current, outputs) {
+      stages[stage] = { fingerprint: current, outputs: outputs.map((output) => path.relative(rootDir, output)) };
+    },
+    save() {
+      fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+      fs.writeFileSync(manifestPath, `${JSON.stringify({ stages }, null, 2)}\n`, 'utf8');
+    }
+  };
+}
+
+export function readCache(cachePath, current) {
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+  const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  return JSON.stringify(cached.fingerprint) === JSON.stringify(current) ? cached.data : null;
+}
+
+export function writeCache(cachePath, current, data) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify({ fingerprint: current, data }), 'utf8');
+}
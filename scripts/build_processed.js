@@ -2,11 +2,156 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { csvParse, csvFormat } from 'd3-dsv';
+import { NUCLEAR_POPULATION_RADII_KM, NUCLEAR_POPULATION_YEARS } from './dataset-registry.js';
+import { loadCountryLookup } from './country-lookup.js';
+import { bearingDeg, createSpatialIndex } from './spatial-index.js';
+import { createQualityLog, readQualityStage, writeQualityReport } from './quality-report.js';
+import { fingerprint, openManifest, readCache, writeCache } from './build-cache.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, '..');
 const INTERMEDIATE_DIR = path.join(ROOT_DIR, 'data', 'intermediate');
 const PROCESSED_DIR = path.join(ROOT_DIR, 'data', 'processed');
+const WORLD_TOPOLOGY_PATH = path.join(ROOT_DIR, 'data', 'world', 'countries-110m.json');
+const CACHE_DIR = path.join(ROOT_DIR, 'data', 'cache');
+const MANIFEST_PATH = path.join(CACHE_DIR, 'build_manifest.json');
+const PROXIMITY_CACHE_PATH = path.join(CACHE_DIR, 'proximity.json');
+const BUILD_CODE = ['build_processed.js', 'dataset-registry.js', 'spatial-index.js', 'country-lookup.js', 'quality-report.js']
+  .map((file) => path.join(__dirname, file));
+const PROXIMITY_INPUTS = [
+  ...['earthquakes_clean.csv', 'airports_clean.csv', 'ports_clean.csv', 'powerplants_clean.csv', 'nuclear_plants_clean.csv']
+    .map((file) => path.join(INTERMEDIATE_DIR, file)),
+  path.join(__dirname, 'build_processed.js'),
+  path.join(__dirname, 'spatial-index.js')
+];
+
+// Offshore epicenters are attributed to the nearest country within 200 nautical miles (EEZ limit).
+const OFFSHORE_MATCH_RADIUS_KM = 370;
+
+const GDP_SERIES = [
+  { dataset: 'gdp_total', file: 'gdp_total_clean.csv', valueColumn: 'gdp_usd', valueType: 'gdp_usd_total' },
+  { dataset: 'gdp_per_capita', file: 'gdp_per_capita_clean.csv', valueColumn: 'gdp_per_capita_usd', valueType: 'gdp_usd_per_capita' },
+  { dataset: 'gdp_growth', file: 'gdp_growth_clean.csv', valueColumn: 'gdp_growth_pct', valueType: 'gdp_growth_pct' },
+  {
+    dataset: 'gdp_per_capita_growth',
+    file: 'gdp_per_capita_growth_clean.csv',
+    valueColumn: 'gdp_per_capita_growth_pct',
+    valueType: 'gdp_per_capita_growth_pct'
+  },
+  { dataset: 'gdp_ppp', file: 'gdp_ppp_clean.csv', valueColumn: 'gdp_ppp_usd', valueType: 'gdp_ppp_usd_total' },
+  {
+    dataset: 'gdp_ppp_per_capita',
+    file: 'gdp_ppp_per_capita_clean.csv',
+    valueColumn: 'gdp_ppp_per_capita_usd',
+    valueType: 'gdp_ppp_usd_per_capita'
+  }
+];
+
+const EXPOSURE_BANDS_KM = [25, 50, 100, 250];
+const AIRPORT_TYPES = ['large_airport', 'medium_airport', 'small_airport', 'heliport', 'seaplane_base'];
+
+const EXPOSURE_COLUMNS = [
+  'record_id',
+  'radius_km',
+  'airports',
+  ...AIRPORT_TYPES.map((type) => `airports_${type}`),
+  'airports_other',
+  'ports',
+  'powerplants',
+  'powerplant_capacity_mw',
+  'nuclear_plants',
+  'nuclear_reactors'
+];
+
+const NEAREST_FACILITY_COUNT = 5;
+
+const NEAREST_COLUMNS = [
+  'record_id',
+  'dataset',
+  'rank',
+  'facility_id',
+  'name',
+  'distance_km',
+  'bearing_deg',
+  'latitude',
+  'longitude'
+];
+
+const DISASTER_ECONOMY_COLUMNS = [
+  'year',
+  'country',
+  'country_code',
+  'event_count',
+  'tsunami_count',
+  'max_magnitude',
+  'mean_magnitude',
+  'sig_sum',
+  'gdp_usd',
+  'gdp_per_capita_usd'
+];
+
+const DISASTER_INFRASTRUCTURE_COLUMNS = [
+  'record_id',
+  'year',
+  'month',
+  'country',
+  'country_code',
+  'disaster_type',
+  'infrastructure_type',
+  'radius_km',
+  'facility_count',
+  'capacity_total',
+  'capacity_unit'
+];
+
+const NUCLEAR_POPULATION_COLUMNS = [
+  'record_id',
+  'radius_km',
+  'year',
+  'population_total',
+  'population_urban',
+  'population_rural'
+];
+
+// Port tsunami vulnerability, 0-100:
+//   score = 100 * (0.35 * harbor type exposure + 0.25 * shelter exposure + 0.40 * tsunami hazard)
+// Harbor type and shelter exposure come from the tables below (open, unsheltered harbors score
+// highest; unknown codes score 0.5). Tsunami hazard is the number of tsunami-flagged events within
+// PORT_TSUNAMI_RADIUS_KM, saturating at PORT_TSUNAMI_SATURATION events.
+const PORT_HARBOR_TYPE_EXPOSURE = { OR: 1, CN: 0.8, CB: 0.6, CT: 0.6, TH: 0.4, RN: 0.4, RB: 0.3, RT: 0.3, LC: 0.1 };
+const PORT_SHELTER_EXPOSURE = { N: 1, P: 0.8, F: 0.5, G: 0.3, E: 0.1 };
+const PORT_UNKNOWN_EXPOSURE = 0.5;
+const PORT_SCORE_WEIGHTS = { harborType: 0.35, shelter: 0.25, tsunami: 0.4 };
+const PORT_TSUNAMI_RADIUS_KM = 300;
+const PORT_TSUNAMI_SATURATION = 5;
+
+const PORT_PROFILE_COLUMNS = [
+  'record_id',
+  'harbor_size',
+  'harbor_type',
+  'shelter',
+  'tide_range_ft',
+  'channel_depth_m',
+  'anchorage_depth_m',
+  'cargo_pier_depth_m',
+  'max_vessel',
+  'entry_tide_restriction',
+  'entry_swell_restriction',
+  'overhead_limits',
+  'tsunami_events_nearby',
+  'tsunami_vulnerability_score'
+];
+
+// One GeoJSON file per map layer, written under <outDir>/layers so the map can fetch each layer
+// the first time it is switched on.
+const LAYER_FILES = {
+  earthquake: 'earthquakes',
+  airport: 'airports',
+  port: 'ports',
+  powerplant: 'powerplants',
+  nuclear_plant: 'nuclear_plants'
+};
+const LAYER_OMITTED_FIELDS = ['dataset', 'latitude', 'longitude'];
 
 const UNIFIED_COLUMNS = [
   'dataset',
@@ -14,6 +159,8 @@ const UNIFIED_COLUMNS = [
   'name',
   'country',
   'country_code',
+  'country_proximity_flag',
+  'country_distance_km',
   'year',
   'month',
   'magnitude',
@@ -27,8 +174,12 @@ const UNIFIED_COLUMNS = [
   'gap',
   'value',
   'value_type',
+  'gdp_shock',
   'capacity_mw',
   'primary_fuel',
+  'owner',
+  'generation_gwh_2021',
+  'estimated_generation_gwh_2021',
   'reactors',
   'feature_type',
   'latitude',
@@ -39,6 +190,15 @@ const UNIFIED_COLUMNS = [
   'nuclear_plants_within_100km'
 ];
 
+export const DEFAULT_BUILD_OPTIONS = {
+  datasets: null,
+  years: null,
+  radiusBands: EXPOSURE_BANDS_KM,
+  outDir: PROCESSED_DIR,
+  format: 'csv',
+  force: false
+};
+
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) {
     fs.mkdirSync(dirPath, { recursive: true });
@@ -53,12 +213,68 @@ function readCsv(filePath) {
   return csvParse(rawText);
 }
 
-function writeCsv(filePath, rows, columns) {
+function writeJson(filePath, value) {
+  fs.writeFileSync(filePath, `${JSON.stringify(value)}\n`, 'utf8');
+  return filePath;
+}
+
+// Blank cells are left out of feature properties; most unified columns do not apply to any one layer.
+function writeLayerFiles(options, unified) {
+  const layersDir = path.join(options.outDir, 'layers');
+  ensureDir(layersDir);
+  return Object.entries(LAYER_FILES).map(([dataset, name]) => {
+    const features = unified
+      .filter((row) => row.dataset === dataset)
+      .map((row) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [row.longitude, row.latitude] },
+        properties: Object.fromEntries(
+          UNIFIED_COLUMNS
+            .filter((column) => !LAYER_OMITTED_FIELDS.includes(column) && row[column] !== '' && row[column] !== undefined)
+            .map((column) => [column, row[column]])
+        )
+      }));
+    return writeJson(path.join(layersDir, `${name}.geojson`), { type: 'FeatureCollection', features });
+  });
+}
+
+// GDP keyed by country code and year: { USA: { name, years: { 2001: { gdp_total, ..., shocks } } } }.
+function writeGdpJson(options, unified) {
+  const countries = {};
+  const gdpDatasets = GDP_SERIES.map((series) => series.dataset);
+  unified
+    .filter((row) => gdpDatasets.includes(row.dataset))
+    .forEach((row) => {
+      if (!countries[row.country_code]) {
+        countries[row.country_code] = { name: row.country, years: {} };
+      }
+      const years = countries[row.country_code].years;
+      if (!years[row.year]) {
+        years[row.year] = {};
+      }
+      years[row.year][row.dataset] = row.value;
+      if (row.gdp_shock === 1) {
+        years[row.year].shocks = [...(years[row.year].shocks ?? []), row.dataset];
+      }
+    });
+  return writeJson(path.join(options.outDir, 'gdp.json'), countries);
+}
+
+// World Bank code per Natural Earth country name: { 'Solomon Is.': 'SLB', ... }.
+function writeCountryCodesJson(options, countryLookup) {
+  return writeJson(path.join(options.outDir, 'country_codes.json'), countryLookup.codesByName());
+}
+
+function writeTable(options, name, rows, columns) {
   if (rows.length === 0) {
-    return;
+    return null;
   }
-  const text = csvFormat(rows, columns);
+  const filePath = path.join(options.outDir, `${name}.${options.format}`);
+  const text = options.format === 'json'
+    ? `${JSON.stringify(rows.map((row) => Object.fromEntries(columns.map((column) => [column, row[column] ?? '']))))}\n`
+    : csvFormat(rows, columns);
   fs.writeFileSync(filePath, text, 'utf8');
+  return filePath;
 }
 
 function parseNumber(value) {
@@ -66,6 +282,11 @@ function parseNumber(value) {
   return Number.isFinite(parsed) ? parsed : NaN;
 }
 
+// Blank cells mean "unknown" rather than zero for sparse columns such as commissioning years.
+function parseOptionalNumber(value) {
+  return String(value ?? '').trim() === '' ? NaN : parseNumber(value);
+}
+
 function safeNumber(value) {
   return Number.isFinite(value) ? value : '';
 }
@@ -74,41 +295,316 @@ function safeString(value) {
   return value === undefined || value === null ? '' : String(value);
 }
 
+function hasCoordinates(row) {
+  return Number.isFinite(row.latitude) && Number.isFinite(row.longitude);
+}
+
+function isSelected(options, dataset) {
+  return !options.datasets || options.datasets.includes(dataset);
+}
+
+function readDataset(options, quality, dataset, file) {
+  if (!isSelected(options, dataset)) {
+    quality.skipped(dataset, 'not selected with --datasets');
+    return [];
+  }
+  // Optional sources the clean stage skipped leave no intermediate file behind.
+  const filePath = path.join(INTERMEDIATE_DIR, file);
+  if (!fs.existsSync(filePath)) {
+    quality.skipped(dataset, `data/intermediate/${file} not found`);
+    return [];
+  }
+  return readCsv(filePath);
+}
+
+const COORDINATES_CHECK = { reason: 'missing coordinates', keep: hasCoordinates };
+
+function yearRangeCheck(options) {
+  const { from, to } = options.years ?? {};
+  return {
+    reason: `outside year range ${from ?? ''}:${to ?? ''}`,
+    keep: (row) => !options.years || (Number.isFinite(row.year) && (from === undefined || row.year >= from) && (to === undefined || row.year <= to))
+  };
+}
+
+// Rows failing a check are dropped under that check's reason. Line numbers in samples count the
+// intermediate file's header as line 1.
+function keepRows(rows, quality, dataset, checks, sampleOf) {
+  const kept = rows.filter((row, index) => {
+    const failed = checks.find((check) => !check.keep(row));
+    if (!failed) {
+      return true;
+    }
+    quality.dropped(dataset, failed.reason, { line: index + 2, ...sampleOf(row) });
+    return false;
+  });
+  quality.totals(dataset, rows.length, kept.length);
+  return kept;
+}
+
 function toPoint(latitude, longitude) {
   return { latitude, longitude };
 }
 
-function distanceKm(a, b) {
-  if (!Number.isFinite(a.latitude) || !Number.isFinite(a.longitude) || !Number.isFinite(b.latitude) || !Number.isFinite(b.longitude)) {
-    return Infinity;
-  }
-  const rad = Math.PI / 180;
-  const lat1 = a.latitude * rad;
-  const lat2 = b.latitude * rad;
-  const dLat = (b.latitude - a.latitude) * rad;
-  const dLon = (b.longitude - a.longitude) * rad;
-
-  const sinLat = Math.sin(dLat / 2);
-  const sinLon = Math.sin(dLon / 2);
-  const h = sinLat * sinLat + Math.cos(lat1) * Math.cos(lat2) * sinLon * sinLon;
-  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
-  return 6371 * c;
+function sumField(matches, field) {
+  return matches.reduce((total, match) => {
+    const value = match.item[field];
+    return Number.isFinite(value) ? total + value : total;
+  }, 0);
+}
+
+function summarizeExposure(recordId, point, indexes, bands) {
+  const widestBand = Math.max(...bands);
+  const nearby = {
+    airports: indexes.airports.withinRadius(point, widestBand),
+    ports: indexes.ports.withinRadius(point, widestBand),
+    powerplants: indexes.powerplants.withinRadius(point, widestBand),
+    nuclearPlants: indexes.nuclearPlants.withinRadius(point, widestBand)
+  };
+
+  return bands.map((radiusKm) => {
+    const inBand = (matches) => matches.filter((match) => match.distanceKm <= radiusKm);
+    const airports = inBand(nearby.airports);
+    const powerplants = inBand(nearby.powerplants);
+    const nuclearPlants = inBand(nearby.nuclearPlants);
+
+    const row = {
+      record_id: recordId,
+      radius_km: radiusKm,
+      airports: airports.length
+    };
+    AIRPORT_TYPES.forEach((type) => {
+      row[`airports_${type}`] = airports.filter((match) => match.item.type === type).length;
+    });
+    row.airports_other = airports.filter((match) => !AIRPORT_TYPES.includes(match.item.type)).length;
+    row.ports = inBand(nearby.ports).length;
+    row.powerplants = powerplants.length;
+    row.powerplant_capacity_mw = Math.round(sumField(powerplants, 'capacity_mw') * 10) / 10;
+    row.nuclear_plants = nuclearPlants.length;
+    row.nuclear_reactors = sumField(nuclearPlants, 'reactors');
+    return row;
+  });
+}
+
+function listNearestFacilities(recordId, point, facilityTypes) {
+  const rows = [];
+  facilityTypes.forEach(({ dataset, index, id, name }) => {
+    index.nearest(point, NEAREST_FACILITY_COUNT).forEach((match, position) => {
+      rows.push({
+        record_id: recordId,
+        dataset,
+        rank: position + 1,
+        facility_id: id(match.item),
+        name: name(match.item),
+        distance_km: Math.round(match.distanceKm * 10) / 10,
+        bearing_deg: Math.round(bearingDeg(point, match.item)),
+        latitude: match.item.latitude,
+        longitude: match.item.longitude
+      });
+    });
+  });
+  return rows;
 }
 
-function countWithinRadius(origin, points, radiusKm) {
-  let count = 0;
-  for (let i = 0; i < points.length; i += 1) {
-    if (distanceKm(origin, points[i]) <= radiusKm) {
-      count += 1;
+function buildDisasterEconomyRows(locatedEvents, gdpTotal, gdpPerCapita) {
+  const gdpByKey = new Map();
+  gdpTotal.forEach((row) => gdpByKey.set(`${row.country_code}_${row.year}`, { total: row.value }));
+  gdpPerCapita.forEach((row) => {
+    const key = `${row.country_code}_${row.year}`;
+    gdpByKey.set(key, { ...gdpByKey.get(key), perCapita: row.value });
+  });
+
+  const groups = new Map();
+  locatedEvents.forEach(({ event, location }) => {
+    if (!location || !Number.isFinite(event.year)) {
+      return;
+    }
+    const key = `${location.country_code || location.country}_${event.year}`;
+    if (!groups.has(key)) {
+      groups.set(key, { year: event.year, country: location.country, country_code: location.country_code, events: [] });
     }
+    groups.get(key).events.push(event);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const magnitudes = group.events.map((event) => event.magnitude).filter(Number.isFinite);
+      const gdp = group.country_code ? gdpByKey.get(`${group.country_code}_${group.year}`) : undefined;
+      return {
+        year: group.year,
+        country: group.country,
+        country_code: group.country_code,
+        event_count: group.events.length,
+        tsunami_count: group.events.filter((event) => event.tsunami_flag === 1).length,
+        max_magnitude: magnitudes.length > 0 ? Math.max(...magnitudes) : '',
+        mean_magnitude: magnitudes.length > 0
+          ? Math.round((magnitudes.reduce((total, value) => total + value, 0) / magnitudes.length) * 100) / 100
+          : '',
+        sig_sum: group.events.reduce((total, event) => (Number.isFinite(event.sig) ? total + event.sig : total), 0),
+        gdp_usd: safeNumber(gdp?.total),
+        gdp_per_capita_usd: safeNumber(gdp?.perCapita)
+      };
+    })
+    .sort((a, b) => a.year - b.year || a.country.localeCompare(b.country));
+}
+
+function buildDisasterInfrastructureRows(locatedEvents) {
+  const categories = [
+    { type: 'airport', count: 'airports', capacity: null, unit: '' },
+    { type: 'port', count: 'ports', capacity: null, unit: '' },
+    { type: 'powerplant', count: 'powerplants', capacity: 'powerplant_capacity_mw', unit: 'MW' },
+    { type: 'nuclear_plant', count: 'nuclear_plants', capacity: 'nuclear_reactors', unit: 'reactors' }
+  ];
+
+  const rows = [];
+  locatedEvents.forEach(({ event, location, exposure }) => {
+    exposure.forEach((band) => {
+      categories.forEach((category) => {
+        rows.push({
+          record_id: band.record_id,
+          year: safeNumber(event.year),
+          month: safeNumber(event.month),
+          country: location ? location.country : '',
+          country_code: location ? location.country_code : '',
+          disaster_type: event.tsunami_flag === 1 ? 'tsunami' : 'earthquake',
+          infrastructure_type: category.type,
+          radius_km: band.radius_km,
+          facility_count: band[category.count],
+          capacity_total: category.capacity ? band[category.capacity] : '',
+          capacity_unit: category.unit
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+function buildNuclearPopulationRows(nuclearPlants) {
+  const rows = [];
+  nuclearPlants.forEach((plant) => {
+    NUCLEAR_POPULATION_RADII_KM.forEach((radiusKm) => {
+      NUCLEAR_POPULATION_YEARS.forEach(({ suffix, year }) => {
+        const total = parseNumber(plant.population[`p${suffix}_${radiusKm}`]);
+        if (!Number.isFinite(total)) {
+          return;
+        }
+        rows.push({
+          record_id: plant.plant,
+          radius_km: radiusKm,
+          year,
+          population_total: total,
+          population_urban: safeNumber(parseNumber(plant.population[`p${suffix}u_${radiusKm}`])),
+          population_rural: safeNumber(parseNumber(plant.population[`p${suffix}r_${radiusKm}`]))
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+function buildPortProfileRows(ports, portTsunamiEvents) {
+  return ports.map((port) => {
+    const tsunamiEvents = portTsunamiEvents[port.index_no];
+    const harborTypeExposure = PORT_HARBOR_TYPE_EXPOSURE[port.harbor_type_code] ?? PORT_UNKNOWN_EXPOSURE;
+    const shelterExposure = PORT_SHELTER_EXPOSURE[port.shelter_code] ?? PORT_UNKNOWN_EXPOSURE;
+    const tsunamiHazard = Math.min(tsunamiEvents, PORT_TSUNAMI_SATURATION) / PORT_TSUNAMI_SATURATION;
+    const score = 100 * (
+      PORT_SCORE_WEIGHTS.harborType * harborTypeExposure +
+      PORT_SCORE_WEIGHTS.shelter * shelterExposure +
+      PORT_SCORE_WEIGHTS.tsunami * tsunamiHazard
+    );
+
+    return {
+      record_id: port.index_no,
+      harbor_size: port.harbor_size,
+      harbor_type: port.harbor_type,
+      shelter: port.shelter,
+      tide_range_ft: safeNumber(port.tide_range_ft),
+      channel_depth_m: port.channel_depth_m,
+      anchorage_depth_m: port.anchorage_depth_m,
+      cargo_pier_depth_m: port.cargo_pier_depth_m,
+      max_vessel: port.max_vessel,
+      entry_tide_restriction: port.entry_tide_restriction,
+      entry_swell_restriction: port.entry_swell_restriction,
+      overhead_limits: port.overhead_limits,
+      tsunami_events_nearby: tsunamiEvents,
+      tsunami_vulnerability_score: Math.round(score)
+    };
+  });
+}
+
+// Everything that depends only on earthquake and facility locations: exposure bands, nearest
+// facilities, the unified 100 km counts and the tsunami history around each port.
+function computeProximity(earthquakes, facilities, options) {
+  const airportIndex = createSpatialIndex(facilities.airports);
+  const portIndex = createSpatialIndex(facilities.ports);
+  const powerplantIndex = createSpatialIndex(facilities.powerplants);
+  const nuclearIndex = createSpatialIndex(facilities.nuclearPlants);
+  const indexes = {
+    airports: airportIndex,
+    ports: portIndex,
+    powerplants: powerplantIndex,
+    nuclearPlants: nuclearIndex
+  };
+  const facilityTypes = [
+    { dataset: 'airport', index: airportIndex, id: (row) => row.ident, name: (row) => row.name },
+    { dataset: 'port', index: portIndex, id: (row) => row.index_no, name: (row) => row.port_name },
+    { dataset: 'powerplant', index: powerplantIndex, id: (row) => row.plant_id, name: (row) => row.plant_name },
+    { dataset: 'nuclear_plant', index: nuclearIndex, id: (row) => row.plant, name: (row) => row.plant }
+  ];
+
+  const events = {};
+  earthquakes.forEach((eq) => {
+    const recordId = safeString(eq.event_id);
+    const point = toPoint(eq.latitude, eq.longitude);
+    events[recordId] = {
+      exposure: summarizeExposure(recordId, point, indexes, options.radiusBands),
+      nearest: listNearestFacilities(recordId, point, facilityTypes),
+      counts: {
+        airports_within_100km: airportIndex.countWithinRadius(point, 100),
+        ports_within_100km: portIndex.countWithinRadius(point, 100),
+        powerplants_within_100km: powerplantIndex.countWithinRadius(point, 100),
+        nuclear_plants_within_100km: nuclearIndex.countWithinRadius(point, 100)
+      }
+    };
+  });
+
+  const tsunamiIndex = createSpatialIndex(earthquakes.filter((eq) => eq.tsunami_flag === 1));
+  const portTsunamiEvents = Object.fromEntries(facilities.ports.map((port) => [
+    port.index_no,
+    tsunamiIndex.countWithinRadius(toPoint(port.latitude, port.longitude), PORT_TSUNAMI_RADIUS_KM)
+  ]));
+
+  return { events, portTsunamiEvents };
+}
+
+// Proximity is the slow part of the build, so it is cached on its own inputs and reused when only
+// GDP or other non-spatial inputs changed.
+function loadProximity(earthquakes, facilities, options) {
+  const current = fingerprint(ROOT_DIR, PROXIMITY_INPUTS, {
+    datasets: options.datasets,
+    years: options.years,
+    radiusBands: options.radiusBands,
+    nearestFacilityCount: NEAREST_FACILITY_COUNT,
+    portTsunamiRadiusKm: PORT_TSUNAMI_RADIUS_KM
+  });
+  const cached = options.force ? null : readCache(PROXIMITY_CACHE_PATH, current);
+  if (cached) {
+    console.log('Reusing cached proximity results: earthquake and facility inputs unchanged.');
+    return cached;
   }
-  return count;
+  const proximity = computeProximity(earthquakes, facilities, options);
+  writeCache(PROXIMITY_CACHE_PATH, current, proximity);
+  return proximity;
 }
 
-function buildUnifiedDataset() {
+function buildUnifiedDataset(quality, options) {
   const unified = [];
+  const exposure = [];
+  const nearestFacilities = [];
+  const locatedEvents = [];
 
-  const earthquakes = readCsv(path.join(INTERMEDIATE_DIR, 'earthquakes_clean.csv')).map((row) => ({
+  const earthquakeRows = readDataset(options, quality, 'earthquakes', 'earthquakes_clean.csv').map((row) => ({
     event_id: row.event_id,
     latitude: parseNumber(row.latitude),
     longitude: parseNumber(row.longitude),
@@ -123,70 +619,138 @@ function buildUnifiedDataset() {
     tsunami_flag: parseNumber(row.tsunami_flag),
     year: parseNumber(row.year),
     month: parseNumber(row.month)
-  })).filter((row) => Number.isFinite(row.latitude) && Number.isFinite(row.longitude));
+  }));
+  const earthquakes = keepRows(earthquakeRows, quality, 'earthquakes', [COORDINATES_CHECK, yearRangeCheck(options)], (row) => ({
+    event_id: row.event_id,
+    year: row.year
+  }));
 
-  const airports = readCsv(path.join(INTERMEDIATE_DIR, 'airports_clean.csv')).map((row) => ({
+  const airportRows = readDataset(options, quality, 'airports', 'airports_clean.csv').map((row) => ({
     ident: safeString(row.ident),
     name: safeString(row.name),
     type: safeString(row.type),
     iso_country: safeString(row.iso_country),
     latitude: parseNumber(row.latitude),
     longitude: parseNumber(row.longitude)
-  })).filter((row) => Number.isFinite(row.latitude) && Number.isFinite(row.longitude));
+  }));
+  const airports = keepRows(airportRows, quality, 'airports', [COORDINATES_CHECK], (row) => ({ ident: row.ident }));
 
-  const ports = readCsv(path.join(INTERMEDIATE_DIR, 'ports_clean.csv')).map((row) => ({
+  const portRows = readDataset(options, quality, 'ports', 'ports_clean.csv').map((row) => ({
     index_no: safeString(row.index_no),
     port_name: safeString(row.port_name),
     country: safeString(row.country),
     latitude: parseNumber(row.latitude),
-    longitude: parseNumber(row.longitude)
-  })).filter((row) => Number.isFinite(row.latitude) && Number.isFinite(row.longitude));
+    longitude: parseNumber(row.longitude),
+    harbor_size: safeString(row.harbor_size),
+    harbor_type_code: safeString(row.harbor_type_code),
+    harbor_type: safeString(row.harbor_type),
+    shelter_code: safeString(row.shelter_code),
+    shelter: safeString(row.shelter),
+    tide_range_ft: parseNumber(row.tide_range_ft),
+    channel_depth_m: safeString(row.channel_depth_m),
+    anchorage_depth_m: safeString(row.anchorage_depth_m),
+    cargo_pier_depth_m: safeString(row.cargo_pier_depth_m),
+    max_vessel: safeString(row.max_vessel),
+    entry_tide_restriction: safeString(row.entry_tide_restriction),
+    entry_swell_restriction: safeString(row.entry_swell_restriction),
+    overhead_limits: safeString(row.overhead_limits)
+  }));
+  const ports = keepRows(portRows, quality, 'ports', [COORDINATES_CHECK], (row) => ({ index_no: row.index_no }));
 
-  const powerplants = readCsv(path.join(INTERMEDIATE_DIR, 'powerplants_clean.csv')).map((row) => ({
+  const powerplantRows = readDataset(options, quality, 'powerplants', 'powerplants_clean.csv').map((row) => ({
+    plant_id: safeString(row.plant_id),
     country_code: safeString(row.country_code),
     country_name: safeString(row.country_name),
     plant_name: safeString(row.plant_name),
     capacity_mw: parseNumber(row.capacity_mw),
     primary_fuel: safeString(row.primary_fuel),
+    commissioning_year: parseOptionalNumber(row.commissioning_year),
+    owner: safeString(row.owner),
+    generation_gwh_2021: parseOptionalNumber(row.generation_gwh_2021),
+    estimated_generation_gwh_2021: parseOptionalNumber(row.estimated_generation_gwh_2021),
     latitude: parseNumber(row.latitude),
     longitude: parseNumber(row.longitude)
-  })).filter((row) => Number.isFinite(row.latitude) && Number.isFinite(row.longitude));
+  }));
+  const powerplants = keepRows(powerplantRows, quality, 'powerplants', [COORDINATES_CHECK], (row) => ({ plant_id: row.plant_id, plant_name: row.plant_name }));
 
-  const nuclearPlants = readCsv(path.join(INTERMEDIATE_DIR, 'nuclear_plants_clean.csv')).map((row) => ({
+  const nuclearPlantRows = readDataset(options, quality, 'nuclear_plants', 'nuclear_plants_clean.csv').map((row) => ({
     plant: safeString(row.plant),
     country: safeString(row.country),
     reactors: parseNumber(row.reactors),
     latitude: parseNumber(row.latitude),
-    longitude: parseNumber(row.longitude)
-  })).filter((row) => Number.isFinite(row.latitude) && Number.isFinite(row.longitude));
+    longitude: parseNumber(row.longitude),
+    population: row
+  }));
+  const nuclearPlants = keepRows(nuclearPlantRows, quality, 'nuclear_plants', [COORDINATES_CHECK], (row) => ({ plant: row.plant }));
 
-  const gdpTotal = readCsv(path.join(INTERMEDIATE_DIR, 'gdp_total_clean.csv')).map((row) => ({
-    country_name: safeString(row.country_name),
-    country_code: safeString(row.country_code),
-    year: parseNumber(row.year),
-    value: parseNumber(row.gdp_usd)
-  })).filter((row) => Number.isFinite(row.year) && Number.isFinite(row.value));
+  const gdpSeries = {};
+  GDP_SERIES.forEach((series) => {
+    const rows = readCsv(path.join(INTERMEDIATE_DIR, series.file)).map((row) => ({
+      country_name: safeString(row.country_name),
+      country_code: safeString(row.country_code),
+      year: parseNumber(row.year),
+      value: parseNumber(row[series.valueColumn])
+    }));
+    gdpSeries[series.dataset] = keepRows(
+      rows,
+      quality,
+      series.dataset,
+      [{ reason: 'missing year or value', keep: (row) => Number.isFinite(row.year) && Number.isFinite(row.value) }, yearRangeCheck(options)],
+      (row) => ({ country_code: row.country_code, year: row.year })
+    );
+  });
+  const shockKeys = new Set(
+    readCsv(path.join(INTERMEDIATE_DIR, 'gdp_shocks.csv')).map((row) => `${row.series}_${row.country_code}_${row.year}`)
+  );
+  const gdpTotal = gdpSeries.gdp_total;
+  const gdpPerCapita = gdpSeries.gdp_per_capita;
 
-  const gdpPerCapita = readCsv(path.join(INTERMEDIATE_DIR, 'gdp_per_capita_clean.csv')).map((row) => ({
-    country_name: safeString(row.country_name),
-    country_code: safeString(row.country_code),
-    year: parseNumber(row.year),
-    value: parseNumber(row.gdp_per_capita_usd)
-  })).filter((row) => Number.isFinite(row.year) && Number.isFinite(row.value));
+  const { events: eventProximity, portTsunamiEvents } = loadProximity(
+    earthquakes,
+    { airports, ports, powerplants, nuclearPlants },
+    options
+  );
 
-  const airportPoints = airports.map((row) => toPoint(row.latitude, row.longitude));
-  const portPoints = ports.map((row) => toPoint(row.latitude, row.longitude));
-  const powerplantPoints = powerplants.map((row) => toPoint(row.latitude, row.longitude));
-  const nuclearPoints = nuclearPlants.map((row) => toPoint(row.latitude, row.longitude));
+  const countryCodes = new Map();
+  [...gdpTotal, ...gdpPerCapita].forEach((row) => {
+    if (row.country_name && row.country_code && !countryCodes.has(row.country_name)) {
+      countryCodes.set(row.country_name, row.country_code);
+    }
+  });
+  const countryLookup = loadCountryLookup(WORLD_TOPOLOGY_PATH, countryCodes);
 
   earthquakes.forEach((eq) => {
-    const point = toPoint(eq.latitude, eq.longitude);
+    const proximity = eventProximity[safeString(eq.event_id)];
+    const location = countryLookup.locate(eq.latitude, eq.longitude, OFFSHORE_MATCH_RADIUS_KM);
+    const locationSample = { event_id: eq.event_id, latitude: eq.latitude, longitude: eq.longitude };
+    if (!location) {
+      quality.coerced('earthquakes', `no country within ${OFFSHORE_MATCH_RADIUS_KM} km, country left blank`, locationSample);
+    }
+    // An offshore event can also land in a country without a World Bank code; both are recorded.
+    if (location && location.proximity_flag === 1) {
+      quality.coerced('earthquakes', 'offshore, attributed to nearest country', {
+        ...locationSample,
+        country: location.country,
+        distance_km: location.distance_km
+      });
+    }
+    if (location && !location.country_code) {
+      quality.coerced('earthquakes', 'country has no World Bank code, country code left blank', {
+        ...locationSample,
+        country: location.country
+      });
+    }
+    locatedEvents.push({ event: eq, location, exposure: proximity.exposure });
+    exposure.push(...proximity.exposure);
+    nearestFacilities.push(...proximity.nearest);
     unified.push({
       dataset: 'earthquake',
       record_id: safeString(eq.event_id),
       name: '',
-      country: '',
-      country_code: '',
+      country: location ? location.country : '',
+      country_code: location ? location.country_code : '',
+      country_proximity_flag: location ? location.proximity_flag : '',
+      country_distance_km: location ? location.distance_km : '',
       year: safeNumber(eq.year),
       month: safeNumber(eq.month),
       magnitude: safeNumber(eq.magnitude),
@@ -200,16 +764,17 @@ function buildUnifiedDataset() {
       gap: safeNumber(eq.gap),
       value: '',
       value_type: '',
+      gdp_shock: '',
       capacity_mw: '',
       primary_fuel: '',
+      owner: '',
+      generation_gwh_2021: '',
+      estimated_generation_gwh_2021: '',
       reactors: '',
       feature_type: '',
       latitude: safeNumber(eq.latitude),
       longitude: safeNumber(eq.longitude),
-      airports_within_100km: countWithinRadius(point, airportPoints, 100),
-      ports_within_100km: countWithinRadius(point, portPoints, 100),
-      powerplants_within_100km: countWithinRadius(point, powerplantPoints, 100),
-      nuclear_plants_within_100km: countWithinRadius(point, nuclearPoints, 100)
+      ...proximity.counts
     });
   });
 
@@ -220,6 +785,8 @@ function buildUnifiedDataset() {
       name: row.name,
       country: row.iso_country,
       country_code: row.iso_country,
+      country_proximity_flag: '',
+      country_distance_km: '',
       year: '',
       month: '',
       magnitude: '',
@@ -233,8 +800,12 @@ function buildUnifiedDataset() {
       gap: '',
       value: '',
       value_type: '',
+      gdp_shock: '',
       capacity_mw: '',
       primary_fuel: '',
+      owner: '',
+      generation_gwh_2021: '',
+      estimated_generation_gwh_2021: '',
       reactors: '',
       feature_type: row.type,
       latitude: safeNumber(row.latitude),
@@ -253,6 +824,8 @@ function buildUnifiedDataset() {
       name: row.port_name,
       country: row.country,
       country_code: row.country,
+      country_proximity_flag: '',
+      country_distance_km: '',
       year: '',
       month: '',
       magnitude: '',
@@ -266,8 +839,12 @@ function buildUnifiedDataset() {
       gap: '',
       value: '',
       value_type: '',
+      gdp_shock: '',
       capacity_mw: '',
       primary_fuel: '',
+      owner: '',
+      generation_gwh_2021: '',
+      estimated_generation_gwh_2021: '',
       reactors: '',
       feature_type: 'port',
       latitude: safeNumber(row.latitude),
@@ -282,11 +859,13 @@ function buildUnifiedDataset() {
   powerplants.forEach((row) => {
     unified.push({
       dataset: 'powerplant',
-      record_id: row.plant_name,
+      record_id: row.plant_id,
       name: row.plant_name,
       country: row.country_name,
       country_code: row.country_code,
-      year: '',
+      country_proximity_flag: '',
+      country_distance_km: '',
+      year: safeNumber(row.commissioning_year),
       month: '',
       magnitude: '',
       depth_km: '',
@@ -299,8 +878,12 @@ function buildUnifiedDataset() {
       gap: '',
       value: '',
       value_type: '',
+      gdp_shock: '',
       capacity_mw: safeNumber(row.capacity_mw),
       primary_fuel: row.primary_fuel,
+      owner: row.owner,
+      generation_gwh_2021: safeNumber(row.generation_gwh_2021),
+      estimated_generation_gwh_2021: safeNumber(row.estimated_generation_gwh_2021),
       reactors: '',
       feature_type: row.primary_fuel,
       latitude: safeNumber(row.latitude),
@@ -319,6 +902,8 @@ function buildUnifiedDataset() {
       name: row.plant,
       country: row.country,
       country_code: row.country,
+      country_proximity_flag: '',
+      country_distance_km: '',
       year: '',
       month: '',
       magnitude: '',
@@ -332,8 +917,12 @@ function buildUnifiedDataset() {
       gap: '',
       value: '',
       value_type: '',
+      gdp_shock: '',
       capacity_mw: '',
       primary_fuel: '',
+      owner: '',
+      generation_gwh_2021: '',
+      estimated_generation_gwh_2021: '',
       reactors: safeNumber(row.reactors),
       feature_type: 'nuclear',
       latitude: safeNumber(row.latitude),
@@ -345,78 +934,109 @@ function buildUnifiedDataset() {
     });
   });
 
-  gdpTotal.forEach((row) => {
-    unified.push({
-      dataset: 'gdp_total',
-      record_id: `${row.country_code}_${row.year}`,
-      name: row.country_name,
-      country: row.country_name,
-      country_code: row.country_code,
-      year: safeNumber(row.year),
-      month: '',
-      magnitude: '',
-      depth_km: '',
-      tsunami_flag: '',
-      cdi: '',
-      mmi: '',
-      sig: '',
-      nst: '',
-      dmin: '',
-      gap: '',
-      value: safeNumber(row.value),
-      value_type: 'gdp_usd_total',
-      capacity_mw: '',
-      primary_fuel: '',
-      reactors: '',
-      feature_type: '',
-      latitude: '',
-      longitude: '',
-      airports_within_100km: '',
-      ports_within_100km: '',
-      powerplants_within_100km: '',
-      nuclear_plants_within_100km: ''
-    });
-  });
-
-  gdpPerCapita.forEach((row) => {
-    unified.push({
-      dataset: 'gdp_per_capita',
-      record_id: `${row.country_code}_${row.year}`,
-      name: row.country_name,
-      country: row.country_name,
-      country_code: row.country_code,
-      year: safeNumber(row.year),
-      month: '',
-      magnitude: '',
-      depth_km: '',
-      tsunami_flag: '',
-      cdi: '',
-      mmi: '',
-      sig: '',
-      nst: '',
-      dmin: '',
-      gap: '',
-      value: safeNumber(row.value),
-      value_type: 'gdp_usd_per_capita',
-      capacity_mw: '',
-      primary_fuel: '',
-      reactors: '',
-      feature_type: '',
-      latitude: '',
-      longitude: '',
-      airports_within_100km: '',
-      ports_within_100km: '',
-      powerplants_within_100km: '',
-      nuclear_plants_within_100km: ''
+  GDP_SERIES.filter((series) => isSelected(options, series.dataset)).forEach((series) => {
+    gdpSeries[series.dataset].forEach((row) => {
+      unified.push({
+        dataset: series.dataset,
+        record_id: `${row.country_code}_${row.year}`,
+        name: row.country_name,
+        country: row.country_name,
+        country_code: row.country_code,
+        country_proximity_flag: '',
+        country_distance_km: '',
+        year: safeNumber(row.year),
+        month: '',
+        magnitude: '',
+        depth_km: '',
+        tsunami_flag: '',
+        cdi: '',
+        mmi: '',
+        sig: '',
+        nst: '',
+        dmin: '',
+        gap: '',
+        value: safeNumber(row.value),
+        value_type: series.valueType,
+        gdp_shock: shockKeys.has(`${series.valueColumn}_${row.country_code}_${row.year}`) ? 1 : 0,
+        capacity_mw: '',
+        primary_fuel: '',
+        owner: '',
+        generation_gwh_2021: '',
+        estimated_generation_gwh_2021: '',
+        reactors: '',
+        feature_type: '',
+        latitude: '',
+        longitude: '',
+        airports_within_100km: '',
+        ports_within_100km: '',
+        powerplants_within_100km: '',
+        nuclear_plants_within_100km: ''
+      });
     });
   });
 
-  writeCsv(path.join(PROCESSED_DIR, 'unified_dataset.csv'), unified, UNIFIED_COLUMNS);
+  const outputs = [
+    writeTable(options, 'unified_dataset', unified, UNIFIED_COLUMNS),
+    writeTable(options, 'earthquake_exposure', exposure, EXPOSURE_COLUMNS),
+    writeTable(options, 'earthquake_nearest_facilities', nearestFacilities, NEAREST_COLUMNS),
+    writeTable(
+      options,
+      'disaster_economy',
+      buildDisasterEconomyRows(locatedEvents, gdpTotal, gdpPerCapita),
+      DISASTER_ECONOMY_COLUMNS
+    ),
+    writeTable(
+      options,
+      'disaster_infrastructure',
+      buildDisasterInfrastructureRows(locatedEvents),
+      DISASTER_INFRASTRUCTURE_COLUMNS
+    ),
+    writeTable(options, 'port_profiles', buildPortProfileRows(ports, portTsunamiEvents), PORT_PROFILE_COLUMNS),
+    writeTable(options, 'nuclear_population', buildNuclearPopulationRows(nuclearPlants), NUCLEAR_POPULATION_COLUMNS),
+    ...writeLayerFiles(options, unified),
+    writeGdpJson(options, unified),
+    writeCountryCodesJson(options, countryLookup)
+  ];
+  return outputs.filter(Boolean);
 }
 
-function run() {
-  ensureDir(PROCESSED_DIR);
-  buildUnifiedDataset();
+function buildInputs() {
+  const intermediateFiles = [
+    'earthquakes_clean.csv',
+    'airports_clean.csv',
+    'ports_clean.csv',
+    'powerplants_clean.csv',
+    'nuclear_plants_clean.csv',
+    ...GDP_SERIES.map((series) => series.file),
+    'gdp_shocks.csv',
+    'quality_clean.json'
+  ];
+  return [...intermediateFiles.map((file) => path.join(INTERMEDIATE_DIR, file)), WORLD_TOPOLOGY_PATH, ...BUILD_CODE];
 }
 
-run();
+export function runBuild(overrides = {}) {
+  const options = { ...DEFAULT_BUILD_OPTIONS, ...overrides };
+  const manifest = openManifest(ROOT_DIR, MANIFEST_PATH, { force: options.force });
+  const current = fingerprint(ROOT_DIR, buildInputs(), {
+    datasets: options.datasets,
+    years: options.years,
+    radiusBands: options.radiusBands,
+    outDir: path.relative(ROOT_DIR, options.outDir),
+    format: options.format
+  });
+  if (manifest.isFresh('build', current)) {
+    console.log('Skipping build: inputs unchanged.');
+    return;
+  }
+
+  ensureDir(options.outDir);
+  const quality = createQualityLog('build');
+  const outputs = buildUnifiedDataset(quality, options);
+  writeQualityReport(options.outDir, [readQualityStage(path.join(INTERMEDIATE_DIR, 'quality_clean.json')), quality.toJSON()]);
+  manifest.record('build', current, [
+    ...outputs,
+    path.join(options.outDir, 'quality_report.json'),
+    path.join(options.outDir, 'quality_report.html')
+  ]);
+  manifest.save();
+}
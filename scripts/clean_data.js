@@ -2,14 +2,36 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { csvParse, csvFormat } from 'd3-dsv';
+import { TABLE_SOURCES, WORLD_BANK_SOURCES, WORLD_BANK_ID_COLUMNS } from './dataset-registry.js';
+import { createQualityLog, readQualityStage } from './quality-report.js';
+import { fingerprint, openManifest } from './build-cache.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, '..');
 const RAW_DIR = path.join(ROOT_DIR, 'data', 'raw');
 const INTERMEDIATE_DIR = path.join(ROOT_DIR, 'data', 'intermediate');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'data', 'cache', 'build_manifest.json');
+const CLEAN_CODE = ['clean_data.js', 'dataset-registry.js'].map((file) => path.join(__dirname, file));
 
 const numberKeys = new Set(['', null, undefined]);
 
+export const DEFAULT_CLEAN_OPTIONS = {
+  datasets: null,
+  minMagnitude: 2,
+  // A year-over-year GDP change is a shock when it passes either threshold; null disables one.
+  // The z-score is taken against the country's own history of annual changes in that series.
+  shockZScore: 3,
+  shockPercentChange: 40,
+  force: false
+};
+
+// Annual changes a country needs before its z-score is trusted.
+const GDP_SHOCK_MIN_HISTORY = 5;
+const GDP_SHOCK_COLUMNS = [
+  'series', 'country_name', 'country_code', 'year', 'direction', 'change_pct', 'z_score',
+  'previous_year', 'previous_value', 'value', 'next_year', 'next_value'
+];
+
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) {
     fs.mkdirSync(dirPath, { recursive: true });
@@ -21,8 +43,26 @@ function readCsv(filePath) {
   return csvParse(rawText);
 }
 
-function writeCsv(filePath, rows) {
-  const text = csvFormat(rows, Object.keys(rows[0] ?? {}));
+function describeSource(source) {
+  return `${source.name} (data/raw/${source.file})`;
+}
+
+// Returns the parsed rows, or null when an optional source is absent.
+function readSource(source, quality) {
+  const filePath = path.join(RAW_DIR, source.file);
+  if (!fs.existsSync(filePath)) {
+    if (source.optional) {
+      console.warn(`Skipping ${describeSource(source)}: file not found.`);
+      quality.skipped(source.name, `data/raw/${source.file} not found`);
+      return null;
+    }
+    throw new Error(`${describeSource(source)}: required source file not found.`);
+  }
+  return readCsv(filePath);
+}
+
+function writeCsv(filePath, rows, columns = Object.keys(rows[0] ?? {})) {
+  const text = csvFormat(rows, columns);
   fs.writeFileSync(filePath, text, 'utf8');
 }
 
@@ -34,241 +74,330 @@ function toNumber(value) {
   return Number.isFinite(parsed) ? parsed : '';
 }
 
-function cleanEarthquakes() {
-  const filePath = path.join(RAW_DIR, 'earthquake_data_tsunami.csv');
-  const rows = readCsv(filePath);
-  const cleaned = [];
-
-  rows.forEach((row, index) => {
-    const magnitude = toNumber(row.magnitude);
-    const latitude = toNumber(row.latitude);
-    const longitude = toNumber(row.longitude);
+function resolveColumn(source, field, spec, header) {
+  const candidates = [].concat(spec.source);
+  const column = candidates.find((candidate) => header.includes(candidate));
+  if (column === undefined) {
+    const expected = candidates.map((candidate) => `"${candidate}"`).join(' or ');
+    throw new Error(`${describeSource(source)}: missing column ${expected} needed for "${field}".`);
+  }
+  return column;
+}
 
-    if (!Number.isFinite(magnitude) || magnitude < 2) {
-      return;
+function compileColumns(source, header) {
+  return Object.entries(source.columns).map(([field, spec]) => {
+    if (spec.type === 'derived') {
+      spec.sources.forEach((column) => resolveColumn(source, field, { source: column }, header));
+      return { field, spec, column: null };
     }
-    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-      return;
+    if (!['string', 'trimmed', 'number', 'year', 'flag', 'code'].includes(spec.type)) {
+      throw new Error(`${describeSource(source)}: column "${field}" has unknown type "${spec.type}".`);
     }
-
-    cleaned.push({
-      event_id: `eq_${row.Year}_${row.Month}_${index}`,
-      magnitude,
-      depth_km: toNumber(row.depth),
-      latitude,
-      longitude,
-      cdi: toNumber(row.cdi),
-      mmi: toNumber(row.mmi),
-      sig: toNumber(row.sig),
-      nst: toNumber(row.nst),
-      dmin: toNumber(row.dmin),
-      gap: toNumber(row.gap),
-      tsunami_flag: row.tsunami === '1' ? 1 : 0,
-      year: toNumber(row.Year),
-      month: toNumber(row.Month)
-    });
+    return { field, spec, column: resolveColumn(source, field, spec, header) };
   });
+}
 
-  if (cleaned.length === 0) {
-    return;
+function coerceValue(spec, value) {
+  switch (spec.type) {
+    case 'number':
+      return toNumber(value);
+    case 'year': {
+      const year = toNumber(value);
+      return Number.isFinite(year) ? Math.floor(year) : '';
+    }
+    case 'flag':
+      return value === '1' ? 1 : 0;
+    case 'code':
+      return spec.codes[String(value ?? '').trim()] ?? '';
+    case 'trimmed':
+      return String(value ?? '').trim();
+    default:
+      return value ?? '';
   }
+}
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'earthquakes_clean.csv'), cleaned);
+function isMissing(spec, value) {
+  return ['number', 'year'].includes(spec.type) ? !Number.isFinite(value) : value === '';
 }
 
-function cleanGdp() {
-  const target = path.join(RAW_DIR, 'gdp', 'gdp.csv');
-  const rows = readCsv(target);
-  const longRows = [];
+function isBlank(value) {
+  return String(value ?? '').trim() === '';
+}
 
-  rows.forEach((row) => {
-    const countryName = row['Country Name'] ?? '';
-    const countryCode = row['Code'] ?? '';
+// Describes how coercion changed a non-blank source value, or returns null when it was kept as is.
+function describeCoercion(spec, column, raw, value) {
+  if (isBlank(raw)) {
+    return null;
+  }
+  if (['number', 'year'].includes(spec.type) && value === '') {
+    return `non-numeric "${column}" blanked`;
+  }
+  if (spec.type === 'year' && value !== Number(String(raw).trim())) {
+    return `fractional "${column}" rounded down to a year`;
+  }
+  if (spec.type === 'code' && value === '') {
+    return `unrecognised code in "${column}" blanked`;
+  }
+  return null;
+}
 
-    Object.keys(row).forEach((key) => {
-      if (/^\d{4}$/.test(key)) {
-        const value = row[key];
-        if (value === '' || value === null || value === undefined) {
-          return;
-        }
-        const num = Number(String(value).replace(/,/g, '').trim());
-        if (!Number.isFinite(num)) {
-          return;
-        }
-        longRows.push({
-          country_name: countryName,
-          country_code: countryCode,
-          year: Number(key),
-          gdp_usd: num
-        });
+function cleanTable(source, quality, options) {
+  const rows = readSource(source, quality);
+  if (rows === null) {
+    return;
+  }
+
+  const columns = compileColumns(source, rows.columns);
+  const dropped = {};
+  const cleaned = [];
+
+  rows.forEach((row, index) => {
+    const record = {};
+    const coercions = [];
+    let missing = null;
+    columns.forEach(({ field, spec, column }) => {
+      const raw = spec.type === 'derived' ? null : row[column];
+      const value = spec.type === 'derived' ? spec.value(row, index) : coerceValue(spec, raw);
+      if (spec.required && missing === null && isMissing(spec, value)) {
+        missing = { field, column, raw };
+      }
+      const coercion = spec.type === 'derived' ? null : describeCoercion(spec, column, raw, value);
+      if (coercion) {
+        coercions.push({ reason: coercion, column, raw });
       }
+      record[field] = value;
     });
+
+    const sampleOf = (column, raw) => ({
+      line: index + 2,
+      ...Object.fromEntries((source.sampleFields ?? []).map((field) => [field, record[field]])),
+      column,
+      value: raw
+    });
+
+    if (missing !== null) {
+      dropped[missing.field] = (dropped[missing.field] ?? 0) + 1;
+      const reason = isBlank(missing.raw) ? `missing "${missing.column}"` : `non-numeric "${missing.column}"`;
+      quality.dropped(source.name, reason, sampleOf(missing.column, missing.raw));
+      return;
+    }
+    if (source.filter && !source.filter(record, options)) {
+      quality.dropped(source.name, source.filterReason(options), sampleOf(source.filterField, record[source.filterField]));
+      return;
+    }
+    coercions.forEach(({ reason, column, raw }) => quality.coerced(source.name, reason, sampleOf(column, raw)));
+    cleaned.push(record);
   });
+  quality.totals(source.name, rows.length, cleaned.length);
 
-  if (longRows.length === 0) {
-    return;
-  }
+  // A required column that never parses usually means the source changed format, not bad rows.
+  columns.forEach(({ field, spec, column }) => {
+    if (spec.required && rows.length > 0 && dropped[field] === rows.length) {
+      throw new Error(`${describeSource(source)}: column "${column}" has no usable values for "${field}".`);
+    }
+  });
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'gdp_total_clean.csv'), longRows);
+  if (cleaned.length > 0) {
+    writeCsv(path.join(INTERMEDIATE_DIR, source.output), cleaned);
+  }
 }
 
-function cleanGdpPerCapita() {
-  const target = path.join(RAW_DIR, 'gdp', 'gdp_per_capita.csv');
-  const rows = readCsv(target);
+function cleanWorldBankSeries(series, quality) {
+  const rows = readSource(series, quality);
+  if (rows === null) {
+    return [];
+  }
+  WORLD_BANK_ID_COLUMNS.forEach((column) => {
+    if (!rows.columns.includes(column)) {
+      throw new Error(`${describeSource(series)}: missing column "${column}".`);
+    }
+  });
+  if (!rows.columns.some((column) => /^\d{4}$/.test(column))) {
+    throw new Error(`${describeSource(series)}: no year columns (e.g. "2001") found.`);
+  }
   const longRows = [];
+  // Counted in country-year cells, the unit written, so cells read = written + dropped.
+  let cellsRead = 0;
 
-  rows.forEach((row) => {
+  rows.forEach((row, index) => {
     const countryName = row['Country Name'] ?? '';
     const countryCode = row['Code'] ?? '';
 
     Object.keys(row).forEach((key) => {
       if (/^\d{4}$/.test(key)) {
+        cellsRead += 1;
         const value = row[key];
+        const sample = { line: index + 2, country_code: countryCode, column: key, value };
         if (value === '' || value === null || value === undefined) {
+          quality.dropped(series.name, 'blank country-year cell', sample);
           return;
         }
         const num = Number(String(value).replace(/,/g, '').trim());
         if (!Number.isFinite(num)) {
+          quality.dropped(series.name, 'non-numeric country-year cell', sample);
           return;
         }
+        if (String(value).includes(',')) {
+          quality.coerced(series.name, 'thousands separators removed', sample);
+        }
         longRows.push({
           country_name: countryName,
           country_code: countryCode,
           year: Number(key),
-          gdp_per_capita_usd: num
+          [series.valueColumn]: num
         });
       }
     });
   });
 
+  quality.totals(series.name, cellsRead, longRows.length);
   if (longRows.length === 0) {
-    return;
+    return [];
   }
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'gdp_per_capita_clean.csv'), longRows);
+  writeCsv(path.join(INTERMEDIATE_DIR, series.output), longRows);
+  return longRows;
 }
 
-function cleanAirports() {
-  const filePath = path.join(RAW_DIR, 'airports .csv');
-  const rows = readCsv(filePath);
-  const cleaned = rows
-    .map((row) => {
-      const latitude = toNumber(row.latitude_deg);
-      const longitude = toNumber(row.longitude_deg);
-      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-        return null;
+function detectGdpShocks(series, longRows, thresholds) {
+  const byCountry = new Map();
+  longRows.forEach((row) => {
+    if (!byCountry.has(row.country_code)) {
+      byCountry.set(row.country_code, []);
+    }
+    byCountry.get(row.country_code).push(row);
+  });
+
+  const shocks = [];
+  byCountry.forEach((rows) => {
+    const ordered = [...rows].sort((a, b) => a.year - b.year);
+    const changes = [];
+    for (let i = 1; i < ordered.length; i += 1) {
+      const previous = ordered[i - 1];
+      const current = ordered[i];
+      if (current.year - previous.year !== 1 || previous[series.valueColumn] === 0) {
+        continue;
       }
-      return {
-        ident: row.ident ?? '',
-        name: row.name ?? '',
-        type: row.type ?? '',
-        iso_country: row.iso_country ?? '',
-        latitude,
-        longitude
-      };
-    })
-    .filter(Boolean);
-
-  if (cleaned.length === 0) {
-    return;
-  }
+      const changePct = ((current[series.valueColumn] - previous[series.valueColumn]) / Math.abs(previous[series.valueColumn])) * 100;
+      changes.push({ index: i, changePct });
+    }
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'airports_clean.csv'), cleaned);
-}
+    const mean = changes.reduce((total, change) => total + change.changePct, 0) / (changes.length || 1);
+    const variance = changes.reduce((total, change) => total + (change.changePct - mean) ** 2, 0) / (changes.length || 1);
+    const deviation = Math.sqrt(variance);
 
-function cleanPorts() {
-  const filePath = path.join(RAW_DIR, 'World_Port_Index.csv');
-  const rows = readCsv(filePath);
-  const cleaned = rows
-    .map((row) => {
-      const latitude = toNumber(row.LATITUDE ?? row.Y);
-      const longitude = toNumber(row.LONGITUDE ?? row.X);
-      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-        return null;
+    changes.forEach(({ index, changePct }) => {
+      const zScore = changes.length >= thresholds.minHistory && deviation > 0 ? (changePct - mean) / deviation : null;
+      const beyondZ = thresholds.zScore !== null && zScore !== null && Math.abs(zScore) >= thresholds.zScore;
+      const beyondPercent = thresholds.percentChange !== null && Math.abs(changePct) >= thresholds.percentChange;
+      if (!beyondZ && !beyondPercent) {
+        return;
       }
-      return {
-        index_no: row.INDEX_NO ?? '',
-        port_name: row.PORT_NAME ?? '',
-        country: row.COUNTRY ?? '',
-        latitude,
-        longitude
-      };
-    })
-    .filter(Boolean);
-
-  if (cleaned.length === 0) {
-    return;
-  }
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'ports_clean.csv'), cleaned);
+      const previous = ordered[index - 1];
+      const current = ordered[index];
+      const next = ordered[index + 1]?.year === current.year + 1 ? ordered[index + 1] : null;
+      shocks.push({
+        series: series.valueColumn,
+        country_name: current.country_name,
+        country_code: current.country_code,
+        year: current.year,
+        direction: changePct < 0 ? 'decline' : 'increase',
+        change_pct: Math.round(changePct * 100) / 100,
+        z_score: zScore === null ? '' : Math.round(zScore * 100) / 100,
+        previous_year: previous.year,
+        previous_value: previous[series.valueColumn],
+        value: current[series.valueColumn],
+        next_year: next ? next.year : '',
+        next_value: next ? next[series.valueColumn] : ''
+      });
+    });
+  });
+
+  return shocks;
 }
 
-function cleanPowerplants() {
-  const filePath = path.join(RAW_DIR, 'powerplants (global) - global_power_plants.csv');
-  const rows = readCsv(filePath);
-  const cleaned = rows
-    .map((row) => {
-      const latitude = toNumber(row.latitude);
-      const longitude = toNumber(row.longitude);
-      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-        return null;
-      }
-      return {
-        country_code: row['country code'] ?? '',
-        country_name: row.country_long ?? '',
-        plant_name: row['name of powerplant'] ?? '',
-        capacity_mw: toNumber(row['capacity in MW']),
-        primary_fuel: row.primary_fuel ?? '',
-        latitude,
-        longitude
-      };
-    })
-    .filter(Boolean);
-
-  if (cleaned.length === 0) {
-    return;
-  }
+function isSelected(options, name) {
+  return !options.datasets || options.datasets.includes(name);
+}
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'powerplants_clean.csv'), cleaned);
+// A partial run (--datasets) rewrites only the selected series, so shocks and quality entries
+// from earlier runs are carried over for everything else.
+function mergeGdpShocks(processedSeries, gdpShocks) {
+  const shocksPath = path.join(INTERMEDIATE_DIR, 'gdp_shocks.csv');
+  const previous = fs.existsSync(shocksPath) ? readCsv(shocksPath) : [];
+  return WORLD_BANK_SOURCES.flatMap((series) => {
+    const matches = (row) => row.series === series.valueColumn;
+    return processedSeries.includes(series) ? gdpShocks.filter(matches) : previous.filter(matches);
+  });
 }
 
-function cleanNuclearPlants() {
-  const filePath = path.join(RAW_DIR, 'energy-pop-exposure-nuclear-plants-locations_plants.csv');
-  const rows = readCsv(filePath);
-  const cleaned = rows
-    .map((row) => {
-      const latitude = toNumber(row.Latitude);
-      const longitude = toNumber(row.Longitude);
-      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-        return null;
-      }
-      return {
-        plant: row.Plant ?? '',
-        country: row.Country ?? '',
-        reactors: toNumber(row.NumReactor),
-        latitude,
-        longitude
-      };
-    })
-    .filter(Boolean);
-
-  if (cleaned.length === 0) {
-    return;
-  }
+function mergeQualityStage(current) {
+  const previous = readQualityStage(path.join(INTERMEDIATE_DIR, 'quality_clean.json'));
+  const byName = new Map((previous?.datasets ?? []).map((entry) => [entry.dataset, entry]));
+  current.datasets.forEach((entry) => byName.set(entry.dataset, entry));
+  const order = [...WORLD_BANK_SOURCES, ...TABLE_SOURCES].map((source) => source.name);
+  return { ...current, datasets: order.filter((name) => byName.has(name)).map((name) => byName.get(name)) };
+}
 
-  writeCsv(path.join(INTERMEDIATE_DIR, 'nuclear_plants_clean.csv'), cleaned);
+// Each source is its own stage, keyed on the raw file, the cleaning code and the options its filter
+// reads, so editing one raw file re-cleans only that source.
+function sourceFingerprint(source, options) {
+  const config = {
+    ...(source.filter ? { minMagnitude: options.minMagnitude } : {}),
+    ...(source.detectShocks ? { shockZScore: options.shockZScore, shockPercentChange: options.shockPercentChange } : {})
+  };
+  return fingerprint(ROOT_DIR, [path.join(RAW_DIR, source.file), ...CLEAN_CODE], config);
 }
 
-function run() {
+export function runClean(overrides = {}) {
+  const options = { ...DEFAULT_CLEAN_OPTIONS, ...overrides };
   ensureDir(INTERMEDIATE_DIR);
 
-  cleanEarthquakes();
-  cleanGdp();
-  cleanGdpPerCapita();
-  cleanAirports();
-  cleanPorts();
-  cleanPowerplants();
-  cleanNuclearPlants();
+  const manifest = openManifest(ROOT_DIR, MANIFEST_PATH, { force: options.force });
+  const isFresh = (source, current) => {
+    if (!manifest.isFresh(`clean:${source.name}`, current)) {
+      return false;
+    }
+    console.log(`Skipping ${source.name}: inputs unchanged.`);
+    return true;
+  };
+
+  const quality = createQualityLog('clean');
+  const worldBankSources = [];
+  const gdpShocks = [];
+  WORLD_BANK_SOURCES.filter((series) => isSelected(options, series.name)).forEach((series) => {
+    const current = sourceFingerprint(series, options);
+    if (isFresh(series, current)) {
+      return;
+    }
+    const longRows = cleanWorldBankSeries(series, quality);
+    if (series.detectShocks) {
+      gdpShocks.push(...detectGdpShocks(series, longRows, {
+        zScore: options.shockZScore,
+        percentChange: options.shockPercentChange,
+        minHistory: GDP_SHOCK_MIN_HISTORY
+      }));
+    }
+    worldBankSources.push(series);
+    manifest.record(`clean:${series.name}`, current, [
+      path.join(INTERMEDIATE_DIR, series.output),
+      ...(series.detectShocks ? [path.join(INTERMEDIATE_DIR, 'gdp_shocks.csv')] : [])
+    ]);
+  });
+  if (worldBankSources.length > 0) {
+    // Written even when empty so a stricter threshold clears shocks found by an earlier run.
+    writeCsv(path.join(INTERMEDIATE_DIR, 'gdp_shocks.csv'), mergeGdpShocks(worldBankSources, gdpShocks), GDP_SHOCK_COLUMNS);
+  }
+  TABLE_SOURCES.filter((source) => isSelected(options, source.name)).forEach((source) => {
+    const current = sourceFingerprint(source, options);
+    if (isFresh(source, current)) {
+      return;
+    }
+    cleanTable(source, quality, options);
+    manifest.record(`clean:${source.name}`, current, [path.join(INTERMEDIATE_DIR, source.output)]);
+  });
+  const report = mergeQualityStage(quality.toJSON());
+  fs.writeFileSync(path.join(INTERMEDIATE_DIR, 'quality_clean.json'), `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  manifest.save();
 }
-
-run();
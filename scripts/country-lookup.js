@@ -0,0 +1,185 @@
+import fs from 'fs';
+import { feature } from 'topojson-client';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Natural Earth short names that differ from the World Bank names used in the GDP tables.
+const WORLD_BANK_NAMES = {
+  'United States of America': 'United States',
+  'Dem. Rep. Congo': 'Congo, Dem. Rep.',
+  'Congo': 'Congo, Rep.',
+  'Dominican Rep.': 'Dominican Republic',
+  'Russia': 'Russian Federation',
+  'Bahamas': 'Bahamas, The',
+  'Central African Rep.': 'Central African Republic',
+  'Eq. Guinea': 'Equatorial Guinea',
+  'eSwatini': 'Eswatini',
+  "Côte d'Ivoire": "Cote d'Ivoire",
+  'Gambia': 'Gambia, The',
+  'Palestine': 'West Bank and Gaza',
+  'Laos': 'Lao PDR',
+  'North Korea': "Korea, Dem. People's Rep.",
+  'South Korea': 'Korea, Rep.',
+  'Kyrgyzstan': 'Kyrgyz Republic',
+  'Iran': 'Iran, Islamic Rep.',
+  'Syria': 'Syrian Arab Republic',
+  'Solomon Is.': 'Solomon Islands',
+  'Brunei': 'Brunei Darussalam',
+  'Slovakia': 'Slovak Republic',
+  'Czechia': 'Czech Republic',
+  'Yemen': 'Yemen, Rep.',
+  'Egypt': 'Egypt, Arab Rep.',
+  'Bosnia and Herz.': 'Bosnia and Herzegovina',
+  'Macedonia': 'North Macedonia',
+  'S. Sudan': 'South Sudan',
+  'Venezuela': 'Venezuela, RB',
+  'Somaliland': 'Somalia'
+};
+
+function toPolygons(geometry) {
+  if (!geometry) {
+    return [];
+  }
+  if (geometry.type === 'Polygon') {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates;
+  }
+  return [];
+}
+
+// world-atlas snaps antimeridian vertices to -180, so rings such as Chukotka or Fiji jump across
+// the map. Unwrapping them makes longitudes continuous; pole-encircling rings are left as they are.
+function unwrapRing(ring) {
+  const unwrapped = [ring[0]];
+  for (let i = 1; i < ring.length; i += 1) {
+    const previous = unwrapped[i - 1][0];
+    let longitude = ring[i][0];
+    while (longitude - previous > 180) longitude -= 360;
+    while (longitude - previous < -180) longitude += 360;
+    unwrapped.push([longitude, ring[i][1]]);
+  }
+  const closed = Math.abs(unwrapped[unwrapped.length - 1][0] - unwrapped[0][0]) < 180;
+  return closed ? unwrapped : ring;
+}
+
+function ringContains(ring, longitude, latitude) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function polygonContainsAt(polygon, longitude, latitude) {
+  if (!ringContains(polygon[0], longitude, latitude)) {
+    return false;
+  }
+  for (let i = 1; i < polygon.length; i += 1) {
+    if (ringContains(polygon[i], longitude, latitude)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function polygonContains(polygon, longitude, latitude) {
+  return [longitude, longitude + 360, longitude - 360].some((candidate) => polygonContainsAt(polygon, candidate, latitude));
+}
+
+function wrapLongitude(delta) {
+  let wrapped = delta;
+  while (wrapped > 180) wrapped -= 360;
+  while (wrapped < -180) wrapped += 360;
+  return wrapped;
+}
+
+// Equirectangular projection around the query point; accurate to well under 1% at the
+// few-hundred-kilometre distances used for the offshore match.
+function ringDistanceKm(ring, longitude, latitude) {
+  const rad = Math.PI / 180;
+  const scaleX = Math.cos(latitude * rad) * rad * EARTH_RADIUS_KM;
+  const scaleY = rad * EARTH_RADIUS_KM;
+  let best = Infinity;
+
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const startLongitude = wrapLongitude(ring[i][0] - longitude);
+    const ax = startLongitude * scaleX;
+    const ay = (ring[i][1] - latitude) * scaleY;
+    const bx = (startLongitude + ring[i + 1][0] - ring[i][0]) * scaleX;
+    const by = (ring[i + 1][1] - latitude) * scaleY;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+    const px = ax + t * dx;
+    const py = ay + t * dy;
+    best = Math.min(best, Math.sqrt(px * px + py * py));
+  }
+
+  return best;
+}
+
+export function loadCountryLookup(topologyPath, countryCodes) {
+  const topology = JSON.parse(fs.readFileSync(topologyPath, 'utf8'));
+  const countries = feature(topology, topology.objects.countries).features.map((entry) => {
+    const sourceName = entry.properties?.name ?? '';
+    const worldBankName = WORLD_BANK_NAMES[sourceName] ?? sourceName;
+    const code = countryCodes.get(worldBankName) ?? '';
+    return {
+      sourceName,
+      country: code ? worldBankName : sourceName,
+      country_code: code,
+      polygons: toPolygons(entry.geometry).map((polygon) => polygon.map(unwrapRing))
+    };
+  });
+
+  function locate(latitude, longitude, maxDistanceKm) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+
+    for (const entry of countries) {
+      if (entry.polygons.some((polygon) => polygonContains(polygon, longitude, latitude))) {
+        return { country: entry.country, country_code: entry.country_code, proximity_flag: 0, distance_km: 0 };
+      }
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    countries.forEach((entry) => {
+      entry.polygons.forEach((polygon) => {
+        const distance = ringDistanceKm(polygon[0], longitude, latitude);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = entry;
+        }
+      });
+    });
+
+    if (!nearest || nearestDistance > maxDistanceKm) {
+      return null;
+    }
+    return {
+      country: nearest.country,
+      country_code: nearest.country_code,
+      proximity_flag: 1,
+      distance_km: Math.round(nearestDistance * 10) / 10
+    };
+  }
+
+  // Natural Earth name to World Bank code for every country polygon that has one, so the map can
+  // color polygons by the same codes the events are assigned.
+  function codesByName() {
+    return Object.fromEntries(
+      countries.filter((entry) => entry.country_code).map((entry) => [entry.sourceName, entry.country_code])
+    );
+  }
+
+  return { locate, codesByName };
+}
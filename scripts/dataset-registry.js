@@ -0,0 +1,188 @@
+// Raw sources cleaned by clean_data.js. Each entry names its file under data/raw, the intermediate
+// file it produces and how output columns are read from the source header:
+//   source    header name, or a list of alternatives where the first one present is used
+//   type      string | trimmed | number | year | flag | code | derived
+//   required  rows without a usable value are dropped
+// sampleFields name the output fields shown next to dropped or rewritten rows in the quality report.
+// filter receives the cleaned record and the pipeline options (e.g. --min-magnitude).
+// Optional sources are skipped with a warning when their file is missing; every declared header is
+// checked before any rows are read.
+
+// Decoding tables from the World Port Index (NGA Pub. 150) field definitions.
+const PORT_HARBOR_SIZES = { V: 'very small', S: 'small', M: 'medium', L: 'large' };
+const PORT_HARBOR_TYPES = {
+  CN: 'coastal natural',
+  CB: 'coastal breakwater',
+  CT: 'coastal tide gate',
+  RN: 'river natural',
+  RB: 'river basin',
+  RT: 'river tide gate',
+  LC: 'lake or canal',
+  OR: 'open roadstead',
+  TH: 'typhoon harbor'
+};
+const PORT_SHELTER = { E: 'excellent', G: 'good', F: 'fair', P: 'poor', N: 'none' };
+const PORT_MAX_VESSEL = { L: 'over 500 ft', M: 'up to 500 ft' };
+const PORT_DEPTH_RANGES_M = {
+  A: '23.2+',
+  B: '21.6-23.1',
+  C: '20.1-21.3',
+  D: '18.6-19.8',
+  E: '17.1-18.2',
+  F: '15.5-16.8',
+  G: '14.0-15.2',
+  H: '12.5-13.7',
+  J: '11.0-12.2',
+  K: '9.4-10.7',
+  L: '7.9-9.1',
+  M: '6.4-7.6',
+  N: '4.9-6.1',
+  O: '3.4-4.6',
+  P: '1.8-3.0',
+  Q: '0-1.5'
+};
+const PORT_YES_NO = { Y: 'yes', N: 'no' };
+
+// Population columns in the nuclear exposure file are named p{suffix}{u|r}_{radius}, e.g. p10u_75.
+// The build reads them back through the same constants.
+export const NUCLEAR_POPULATION_RADII_KM = [30, 75, 150, 300, 600, 1200];
+export const NUCLEAR_POPULATION_YEARS = [
+  { suffix: '90', year: 1990 },
+  { suffix: '00', year: 2000 },
+  { suffix: '10', year: 2010 }
+];
+const NUCLEAR_POPULATION_COLUMNS = NUCLEAR_POPULATION_RADII_KM.flatMap((radius) =>
+  NUCLEAR_POPULATION_YEARS.flatMap(({ suffix }) => ['', 'u', 'r'].map((split) => `p${suffix}${split}_${radius}`))
+);
+
+function text(source, options = {}) {
+  return { source, type: 'string', ...options };
+}
+
+function number(source, options = {}) {
+  return { source, type: 'number', ...options };
+}
+
+function code(source, codes) {
+  return { source, type: 'code', codes };
+}
+
+export const TABLE_SOURCES = [
+  {
+    name: 'earthquakes',
+    file: 'earthquake_data_tsunami.csv',
+    output: 'earthquakes_clean.csv',
+    sampleFields: ['event_id'],
+    columns: {
+      event_id: { type: 'derived', sources: ['Year', 'Month'], value: (row, index) => `eq_${row.Year}_${row.Month}_${index}` },
+      magnitude: number('magnitude', { required: true }),
+      depth_km: number('depth'),
+      latitude: number('latitude', { required: true }),
+      longitude: number('longitude', { required: true }),
+      cdi: number('cdi'),
+      mmi: number('mmi'),
+      sig: number('sig'),
+      nst: number('nst'),
+      dmin: number('dmin'),
+      gap: number('gap'),
+      tsunami_flag: { source: 'tsunami', type: 'flag' },
+      year: number('Year'),
+      month: number('Month')
+    },
+    filter: (record, options) => record.magnitude >= options.minMagnitude,
+    filterField: 'magnitude',
+    filterReason: (options) => `magnitude below ${options.minMagnitude}`
+  },
+  {
+    name: 'airports',
+    file: 'airports .csv',
+    output: 'airports_clean.csv',
+    sampleFields: ['ident', 'name'],
+    optional: true,
+    columns: {
+      ident: text('ident'),
+      name: text('name'),
+      type: text('type'),
+      iso_country: text('iso_country'),
+      latitude: number('latitude_deg', { required: true }),
+      longitude: number('longitude_deg', { required: true })
+    }
+  },
+  {
+    name: 'ports',
+    file: 'World_Port_Index.csv',
+    output: 'ports_clean.csv',
+    sampleFields: ['index_no', 'port_name'],
+    optional: true,
+    columns: {
+      index_no: text('INDEX_NO'),
+      port_name: text('PORT_NAME'),
+      country: text('COUNTRY'),
+      latitude: number(['LATITUDE', 'Y'], { required: true }),
+      longitude: number(['LONGITUDE', 'X'], { required: true }),
+      harbor_size: code('HARBORSIZE', PORT_HARBOR_SIZES),
+      harbor_type_code: { source: 'HARBORTYPE', type: 'trimmed' },
+      harbor_type: code('HARBORTYPE', PORT_HARBOR_TYPES),
+      shelter_code: { source: 'SHELTER', type: 'trimmed' },
+      shelter: code('SHELTER', PORT_SHELTER),
+      tide_range_ft: number('TIDE_RANGE'),
+      channel_depth_m: code('CHAN_DEPTH', PORT_DEPTH_RANGES_M),
+      anchorage_depth_m: code('ANCH_DEPTH', PORT_DEPTH_RANGES_M),
+      cargo_pier_depth_m: code('CARGODEPTH', PORT_DEPTH_RANGES_M),
+      max_vessel: code('MAX_VESSEL', PORT_MAX_VESSEL),
+      entry_tide_restriction: code('ENTRY_TIDE', PORT_YES_NO),
+      entry_swell_restriction: code('ENTRYSWELL', PORT_YES_NO),
+      overhead_limits: code('OVERHD_LIM', PORT_YES_NO)
+    }
+  },
+  {
+    name: 'powerplants',
+    file: 'powerplants (global) - global_power_plants.csv',
+    output: 'powerplants_clean.csv',
+    sampleFields: ['plant_id', 'plant_name', 'country_code'],
+    optional: true,
+    columns: {
+      // Plant names repeat across countries (e.g. "Newport"), so plants are keyed by source row.
+      plant_id: { type: 'derived', sources: [], value: (row, index) => `pp_${index}` },
+      country_code: text('country code'),
+      country_name: text('country_long'),
+      plant_name: text('name of powerplant'),
+      capacity_mw: number('capacity in MW'),
+      primary_fuel: text('primary_fuel'),
+      // "start date" is a fractional year (e.g. 2004.5) for plants commissioned mid-year.
+      commissioning_year: { source: 'start date', type: 'year' },
+      owner: text('owner of plant'),
+      generation_gwh_2021: number('generation_gwh_2021'),
+      estimated_generation_gwh_2021: number('estimated_generation_gwh_2021'),
+      latitude: number('latitude', { required: true }),
+      longitude: number('longitude', { required: true })
+    }
+  },
+  {
+    name: 'nuclear_plants',
+    file: 'energy-pop-exposure-nuclear-plants-locations_plants.csv',
+    output: 'nuclear_plants_clean.csv',
+    sampleFields: ['plant', 'country'],
+    optional: true,
+    columns: {
+      plant: text('Plant'),
+      country: text('Country'),
+      reactors: number('NumReactor'),
+      latitude: number('Latitude', { required: true }),
+      longitude: number('Longitude', { required: true }),
+      ...Object.fromEntries(NUCLEAR_POPULATION_COLUMNS.map((column) => [column, number(column)]))
+    }
+  }
+];
+
+// World Bank downloads are wide (one column per year) and are reshaped to one row per country-year.
+export const WORLD_BANK_SOURCES = [
+  { name: 'gdp_total', file: 'gdp/gdp.csv', output: 'gdp_total_clean.csv', valueColumn: 'gdp_usd', detectShocks: true },
+  { name: 'gdp_per_capita', file: 'gdp/gdp_per_capita.csv', output: 'gdp_per_capita_clean.csv', valueColumn: 'gdp_per_capita_usd', detectShocks: true },
+  { name: 'gdp_growth', file: 'gdp/gdp_growth.csv', output: 'gdp_growth_clean.csv', valueColumn: 'gdp_growth_pct', optional: true },
+  { name: 'gdp_per_capita_growth', file: 'gdp/gdp_per_capita_growth.csv', output: 'gdp_per_capita_growth_clean.csv', valueColumn: 'gdp_per_capita_growth_pct', optional: true },
+  { name: 'gdp_ppp', file: 'gdp/gdp_ppp.csv', output: 'gdp_ppp_clean.csv', valueColumn: 'gdp_ppp_usd', detectShocks: true, optional: true },
+  { name: 'gdp_ppp_per_capita', file: 'gdp/gdp_ppp_per_capita.csv', output: 'gdp_ppp_per_capita_clean.csv', valueColumn: 'gdp_ppp_per_capita_usd', detectShocks: true, optional: true }
+];
+
+export const WORLD_BANK_ID_COLUMNS = ['Country Name', 'Code'];
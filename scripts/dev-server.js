@@ -1,56 +1,55 @@
 import http from "http";
-import { createReadStream, existsSync, statSync } from "fs";
 import { fileURLToPath } from "url";
 import path from "path";
-import { MIME_TYPES } from "./mime-types.js";
+import { createFeatureApi } from "./feature-api.js";
+import { createLiveReload } from "./live-reload.js";
+import { createStaticHandler } from "./static-files.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, "..");
 const HOST = "127.0.0.1";
 const PORT = Number(process.env.PORT ?? 5173);
+const FEATURES_API_PATH = "/api/features";
+const WATCH = process.argv.includes("--watch");
+
+const featureApi = createFeatureApi({ layersDir: path.join(ROOT, "data", "processed", "layers") });
+const liveReload = WATCH ? createLiveReload({ root: ROOT }) : null;
+const serveStatic = createStaticHandler({
+  root: ROOT,
+  transformHtml: liveReload ? (html) => liveReload.injectClient(html) : null
+});
 
-function resolvePath(requestPath) {
-  const decoded = decodeURIComponent(requestPath.split("?")[0]);
-  const clean = decoded === "/" ? "/index.html" : decoded;
-  return path.join(ROOT, clean);
-}
-
-function respondWithError(res, status, message) {
-  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
-  res.end(message);
+function parseRequestUrl(rawUrl) {
+  try {
+    return new URL(`http://${HOST}${rawUrl.startsWith("/") ? rawUrl : `/${rawUrl}`}`);
+  } catch {
+    return null;
+  }
 }
 
 const server = http.createServer((req, res) => {
-  if (!req.url) {
-    respondWithError(res, 400, "Bad Request");
+  const requestUrl = parseRequestUrl(req.url ?? "");
+  if (!requestUrl) {
+    res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Bad Request");
     return;
   }
-
-  let targetPath = resolvePath(req.url);
-
-  try {
-    const stats = statSync(targetPath);
-    if (stats.isDirectory()) {
-      targetPath = path.join(targetPath, "index.html");
-    }
-  } catch {
-    respondWithError(res, 404, "Not Found");
+  if (requestUrl.pathname === FEATURES_API_PATH) {
+    featureApi.handle(requestUrl, res);
     return;
   }
-
-  if (!existsSync(targetPath)) {
-    respondWithError(res, 404, "Not Found");
+  if (liveReload && liveReload.handle(requestUrl, req, res)) {
     return;
   }
 
-  const ext = path.extname(targetPath).toLowerCase();
-  const contentType = MIME_TYPES[ext] ?? "application/octet-stream";
-
-  res.writeHead(200, { "Content-Type": contentType });
-  createReadStream(targetPath).pipe(res);
+  serveStatic(req, res);
 });
 
 server.listen(PORT, HOST, () => {
   console.log(`Dev server ready at http://${HOST}:${PORT}/`);
+  if (liveReload) {
+    liveReload.watch();
+    console.log("Watching pages, src/ and data/raw/ for changes.");
+  }
 });
 
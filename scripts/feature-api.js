@@ -0,0 +1,132 @@
+import { existsSync, readFileSync, statSync } from "fs";
+import path from "path";
+import { createSpatialIndex } from "./spatial-index.js";
+
+// Infrastructure layers served by /api/features, read from the per-layer GeoJSON files that
+// build_processed.js writes.
+const LAYER_FILES = {
+  airport: "airports.geojson",
+  port: "ports.geojson",
+  powerplant: "powerplants.geojson",
+  nuclear_plant: "nuclear_plants.geojson"
+};
+const DEFAULT_LIMIT = 1000;
+// Room for the largest layer (about 35,000 power plants) in one response, so the map can cluster a
+// whole-world view.
+const MAX_LIMIT = 50000;
+
+class RequestError extends Error {}
+
+function wrapLongitude(longitude) {
+  return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
+
+// bbox follows Leaflet's toBBoxString(): west,south,east,north. Longitudes from a panned world
+// copy are wrapped back into [-180, 180].
+function parseBbox(value) {
+  const parts = (value ?? "").split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+    throw new RequestError(`bbox expects west,south,east,north, got "${value ?? ""}".`);
+  }
+  const [west, south, east, north] = parts;
+  if (south > north) {
+    throw new RequestError("bbox south edge is above its north edge.");
+  }
+  const bounds = { south: Math.max(south, -90), north: Math.min(north, 90) };
+  if (east - west >= 360) {
+    return { ...bounds, west: -180, east: 180 };
+  }
+  return { ...bounds, west: wrapLongitude(west), east: wrapLongitude(east) };
+}
+
+function parseInteger(value, name, { min, max }) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw new RequestError(`${name} expects a whole number from ${min} to ${max}, got "${value}".`);
+  }
+  return parsed;
+}
+
+// Same rule as the map: power plants appear from their commissioning year onward, other facilities
+// only in their own year, and facilities without a year in every year.
+function isShownInYear(layer, item, year) {
+  if (year === null || item.year === null) {
+    return true;
+  }
+  return layer === "powerplant" ? item.year <= year : item.year === year;
+}
+
+function toItem(feature) {
+  const [longitude, latitude] = feature.geometry.coordinates;
+  const year = feature.properties.year;
+  return { latitude, longitude, year: Number.isFinite(year) ? year : null, feature };
+}
+
+// Largest plants are indexed first so a capped response keeps the most significant ones.
+function rankItems(layer, items) {
+  if (layer !== "powerplant") {
+    return items;
+  }
+  const capacity = (item) => item.feature.properties.capacity_mw ?? 0;
+  return items.slice().sort((a, b) => capacity(b) - capacity(a));
+}
+
+export function createFeatureApi({ layersDir }) {
+  // Indexes are built on first use and rebuilt whenever the pipeline rewrites the layer file.
+  const indexes = new Map();
+
+  function layerIndex(layer) {
+    const filePath = path.join(layersDir, LAYER_FILES[layer]);
+    if (!existsSync(filePath)) {
+      return null;
+    }
+    const { mtimeMs } = statSync(filePath);
+    const cached = indexes.get(layer);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.index;
+    }
+    const collection = JSON.parse(readFileSync(filePath, "utf8"));
+    const index = createSpatialIndex(rankItems(layer, collection.features.map(toItem)));
+    indexes.set(layer, { mtimeMs, index });
+    return index;
+  }
+
+  function query(searchParams) {
+    const layer = searchParams.get("layer");
+    if (!LAYER_FILES[layer]) {
+      throw new RequestError(`layer must be one of ${Object.keys(LAYER_FILES).join(", ")}, got "${layer ?? ""}".`);
+    }
+    const bounds = parseBbox(searchParams.get("bbox"));
+    const year = searchParams.has("year") ? parseInteger(searchParams.get("year"), "year", { min: 0, max: 9999 }) : null;
+    const limit = searchParams.has("limit")
+      ? parseInteger(searchParams.get("limit"), "limit", { min: 1, max: MAX_LIMIT })
+      : DEFAULT_LIMIT;
+
+    const index = layerIndex(layer);
+    if (!index) {
+      return { status: 404, body: { error: `No ${layer} layer file in ${layersDir}; run npm run build:processed.` } };
+    }
+    const matches = index.withinBounds(bounds).filter((item) => isShownInYear(layer, item, year));
+    return {
+      status: 200,
+      body: {
+        type: "FeatureCollection",
+        total: matches.length,
+        features: matches.slice(0, limit).map((item) => item.feature)
+      }
+    };
+  }
+
+  return {
+    handle(requestUrl, res) {
+      let result;
+      try {
+        result = query(requestUrl.searchParams);
+      } catch (error) {
+        result = { status: error instanceof RequestError ? 400 : 500, body: { error: error.message } };
+      }
+      res.writeHead(result.status, { "Content-Type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify(result.body));
+    }
+  };
+}
@@ -0,0 +1,221 @@
+import { spawn } from "child_process";
+import { existsSync, readdirSync, watch } from "fs";
+import path from "path";
+import { TABLE_SOURCES, WORLD_BANK_SOURCES } from "./dataset-registry.js";
+
+const EVENTS_PATH = "/__live-reload";
+const CLIENT_PATH = "/__live-reload.js";
+const DEBOUNCE_MS = 150;
+const KEEP_ALIVE_MS = 30000;
+const OVERLAY_ID = "live-reload-overlay";
+
+// Runs in the browser: it is served as the source of this function, so it must not use anything
+// from the surrounding module.
+function liveReloadClient(eventsPath, overlayId) {
+  const source = new EventSource(eventsPath);
+
+  function showOverlay({ command, message }) {
+    let overlay = document.getElementById(overlayId);
+    if (!overlay) {
+      overlay = document.createElement("div");
+      overlay.id = overlayId;
+      overlay.style.cssText = "position:fixed;inset:0;z-index:100000;overflow:auto;padding:2rem;"
+        + "background:rgba(15,23,42,0.92);color:#f8fafc;font:14px/1.5 ui-monospace,monospace;";
+      overlay.addEventListener("click", () => overlay.remove());
+      document.body.appendChild(overlay);
+    }
+    overlay.innerHTML = "";
+    const title = document.createElement("div");
+    title.style.cssText = "color:#f87171;font-weight:bold;margin-bottom:1rem;";
+    title.textContent = `Pipeline failed: node scripts/pipeline.js ${command}`;
+    const details = document.createElement("pre");
+    details.style.whiteSpace = "pre-wrap";
+    details.textContent = message;
+    const hint = document.createElement("div");
+    hint.style.cssText = "color:#94a3b8;margin-top:1rem;";
+    hint.textContent = "Fix the source and save to rebuild. Click to dismiss.";
+    overlay.append(title, details, hint);
+  }
+
+  // Reloading each matching stylesheet with a fresh query string swaps it without a page reload.
+  function swapStylesheet(changedPath) {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const url = new URL(link.href);
+      if (url.origin === location.origin && url.pathname === changedPath) {
+        url.searchParams.set("v", Date.now());
+        link.href = url.href;
+      }
+    });
+  }
+
+  source.addEventListener("reload", () => location.reload());
+  source.addEventListener("css", (event) => swapStylesheet(JSON.parse(event.data).path));
+  source.addEventListener("pipeline-error", (event) => showOverlay(JSON.parse(event.data)));
+}
+
+// One non-recursive watcher per directory: directory watches keep reporting files that editors
+// save by writing a new file and renaming it over the old one, which per-file watches lose.
+function listDirectories(dir) {
+  return [
+    dir,
+    ...readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .flatMap((entry) => listDirectories(path.join(dir, entry.name)))
+  ];
+}
+
+// Maps a path under data/raw to the registry dataset cleaned from it.
+function rawDatasetFor(rawPath) {
+  const source = [...TABLE_SOURCES, ...WORLD_BANK_SOURCES].find((entry) => entry.file === rawPath);
+  return source ? source.name : null;
+}
+
+// Server half of live reload: an SSE channel, the injected client and a watcher that reruns the
+// pipeline for changed raw data and tells connected pages to reload or swap stylesheets.
+export function createLiveReload({ root }) {
+  const clients = new Set();
+  let lastError = null;
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function broadcast(event, data = {}) {
+    clients.forEach((res) => send(res, event, data));
+  }
+
+  function openEventStream(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.write(": connected\n\n");
+    // A page loaded while the last rebuild was broken still gets the overlay.
+    if (lastError) {
+      send(res, "pipeline-error", lastError);
+    }
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), KEEP_ALIVE_MS);
+    clients.add(res);
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      clients.delete(res);
+    });
+  }
+
+  function runPipeline(args) {
+    return new Promise((resolve) => {
+      const child = spawn(process.execPath, [path.join(root, "scripts", "pipeline.js"), ...args], { cwd: root });
+      let errors = "";
+      child.stdout.on("data", (chunk) => process.stdout.write(chunk));
+      child.stderr.on("data", (chunk) => {
+        errors += chunk;
+        process.stderr.write(chunk);
+      });
+      child.on("close", (code) => resolve({ ok: code === 0, errors: errors.trim() }));
+    });
+  }
+
+  // Raw changes only rerun the clean stage for the datasets whose files changed; the build stage
+  // then rebuilds from the updated intermediates. Changes arriving mid-run are queued for the next.
+  const pendingDatasets = new Set();
+  let running = false;
+
+  async function rebuild() {
+    if (running || pendingDatasets.size === 0) {
+      return;
+    }
+    running = true;
+    const datasets = [...pendingDatasets];
+    pendingDatasets.clear();
+    const steps = [["clean", "--datasets", datasets.join(",")], ["build"]];
+    let failure = null;
+    for (const args of steps) {
+      console.log(`Raw data changed (${datasets.join(", ")}); running pipeline ${args[0]}...`);
+      const result = await runPipeline(args);
+      if (!result.ok) {
+        failure = { command: args.join(" "), message: result.errors || "The pipeline exited with an error." };
+        break;
+      }
+    }
+    lastError = failure;
+    broadcast(failure ? "pipeline-error" : "reload", failure ?? {});
+    running = false;
+    rebuild();
+  }
+
+  const changed = new Set();
+  let debounce = null;
+
+  function flush() {
+    debounce = null;
+    const paths = [...changed];
+    changed.clear();
+    paths
+      .filter((relPath) => relPath.startsWith("data/raw/") && relPath.endsWith(".csv"))
+      .forEach((relPath) => {
+        const dataset = rawDatasetFor(relPath.slice("data/raw/".length));
+        if (dataset) {
+          pendingDatasets.add(dataset);
+        } else {
+          console.log(`Ignoring ${relPath}: not a registered raw source.`);
+        }
+      });
+    rebuild();
+
+    const pagePaths = paths.filter((relPath) => !relPath.startsWith("data/"));
+    if (pagePaths.length === 0) {
+      return;
+    }
+    if (pagePaths.every((relPath) => relPath.endsWith(".css"))) {
+      pagePaths.forEach((relPath) => broadcast("css", { path: `/${relPath}` }));
+    } else {
+      broadcast("reload");
+    }
+  }
+
+  function onChange(relPath) {
+    changed.add(relPath.split(path.sep).join("/"));
+    clearTimeout(debounce);
+    debounce = setTimeout(flush, DEBOUNCE_MS);
+  }
+
+  return {
+    // Returns true when the request was one of the live-reload routes.
+    handle(requestUrl, req, res) {
+      if (requestUrl.pathname === EVENTS_PATH) {
+        openEventStream(req, res);
+        return true;
+      }
+      if (requestUrl.pathname === CLIENT_PATH) {
+        res.writeHead(200, { "Content-Type": "application/javascript; charset=utf-8", "Cache-Control": "no-cache" });
+        res.end(`(${liveReloadClient})(${JSON.stringify(EVENTS_PATH)}, ${JSON.stringify(OVERLAY_ID)});\n`);
+        return true;
+      }
+      return false;
+    },
+    injectClient(html) {
+      const tag = `<script src="${CLIENT_PATH}"></script>`;
+      return html.includes("</body>") ? html.replace("</body>", `${tag}\n</body>`) : `${html}${tag}`;
+    },
+    // Top-level pages and stylesheets, the front-end sources and the raw data; generated data is
+    // left out so the pipeline's own writes do not retrigger it.
+    watch() {
+      watch(root, (eventType, filename) => {
+        if (filename && /\.(html|css|js)$/.test(filename)) {
+          onChange(filename);
+        }
+      });
+      ["src", path.join("data", "raw")]
+        .filter((dir) => existsSync(path.join(root, dir)))
+        .flatMap((dir) => listDirectories(path.join(root, dir)))
+        .forEach((dir) => {
+          watch(dir, (eventType, filename) => {
+            if (filename) {
+              onChange(path.relative(root, path.join(dir, filename)));
+            }
+          });
+        });
+    }
+  };
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { DEFAULT_CLEAN_OPTIONS, runClean } from './clean_data.js';
+import { DEFAULT_BUILD_OPTIONS, runBuild } from './build_processed.js';
+import { TABLE_SOURCES, WORLD_BANK_SOURCES } from './dataset-registry.js';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const COMMANDS = ['clean', 'build', 'all', 'report'];
+const FORMATS = ['csv', 'json'];
+const DATASET_NAMES = [...TABLE_SOURCES, ...WORLD_BANK_SOURCES].map((source) => source.name);
+const DATASET_GROUPS = { gdp: WORLD_BANK_SOURCES.map((source) => source.name) };
+
+const HELP = `Usage: node scripts/pipeline.js <command> [options]
+
+Commands:
+  clean    Clean data/raw into data/intermediate
+  build    Build the processed tables from data/intermediate
+  all      Run clean, then build
+  report   Print the data quality report from the last build
+
+Options:
+  --datasets <names>       Comma-separated datasets to process (default: all).
+                           ${DATASET_NAMES.join(', ')}
+                           "gdp" selects every GDP series.
+  --min-magnitude <n>      Drop earthquakes below this magnitude while cleaning (default: ${DEFAULT_CLEAN_OPTIONS.minMagnitude})
+  --shock-z <n|off>        Flag a GDP change as a shock at this |z-score| against the country's
+                           history (default: ${DEFAULT_CLEAN_OPTIONS.shockZScore})
+  --shock-pct <n|off>      Flag a GDP change as a shock at this absolute % change (default: ${DEFAULT_CLEAN_OPTIONS.shockPercentChange})
+  --years <from:to>        Keep earthquakes and GDP rows in this year range while building;
+                           either end may be left open, e.g. 2001: or :2010
+  --radius-bands <km,...>  Exposure radius bands in km (default: ${DEFAULT_BUILD_OPTIONS.radiusBands.join(',')}).
+                           The unified table's *_within_100km counts always use 100 km.
+  --out-dir <dir>          Directory for processed tables and the quality report (default: data/processed)
+  --format <csv|json>      Format of the processed tables (default: csv); the map reads csv
+  --force                  Rerun every stage even if its inputs are unchanged
+                           (hashes are kept in data/cache/build_manifest.json)
+  -h, --help               Show this help
+
+Exit codes:
+  0  success
+  1  the pipeline failed (missing source, bad column, no report to print)
+  2  invalid command or options
+`;
+
+class UsageError extends Error {}
+
+function parseList(value, flag) {
+  const items = value.split(',').map((item) => item.trim()).filter(Boolean);
+  if (items.length === 0) {
+    throw new UsageError(`${flag} needs at least one value.`);
+  }
+  return items;
+}
+
+function parseNumberFlag(value, flag) {
+  const parsed = Number(value);
+  if (value.trim() === '' || !Number.isFinite(parsed)) {
+    throw new UsageError(`${flag} expects a number, got "${value}".`);
+  }
+  return parsed;
+}
+
+// A shock threshold is a positive number, or "off" to detect shocks by the other threshold only.
+function parseThresholdFlag(value, flag) {
+  if (value === 'off') return null;
+  const threshold = parseNumberFlag(value, flag);
+  if (threshold <= 0) {
+    throw new UsageError(`${flag} must be greater than 0 or "off", got "${value}".`);
+  }
+  return threshold;
+}
+
+function parseDatasets(value) {
+  const names = parseList(value, '--datasets').flatMap((name) => DATASET_GROUPS[name] ?? [name]);
+  const unknown = names.filter((name) => !DATASET_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown dataset(s): ${unknown.join(', ')}. Expected one of: ${DATASET_NAMES.join(', ')}, gdp.`);
+  }
+  return [...new Set(names)];
+}
+
+function parseYears(value) {
+  const match = /^(\d{4})?:(\d{4})?$/.exec(value.trim());
+  if (!match || (!match[1] && !match[2])) {
+    throw new UsageError(`--years expects <from:to>, e.g. 2001:2020, got "${value}".`);
+  }
+  const years = {};
+  if (match[1]) years.from = Number(match[1]);
+  if (match[2]) years.to = Number(match[2]);
+  if (years.from !== undefined && years.to !== undefined && years.from > years.to) {
+    throw new UsageError(`--years range ${value} ends before it starts.`);
+  }
+  return years;
+}
+
+function parseRadiusBands(value) {
+  const bands = parseList(value, '--radius-bands').map((band) => parseNumberFlag(band, '--radius-bands'));
+  if (bands.some((band) => band <= 0)) {
+    throw new UsageError('--radius-bands must all be greater than 0 km.');
+  }
+  return [...new Set(bands)].sort((a, b) => a - b);
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        datasets: { type: 'string' },
+        'min-magnitude': { type: 'string' },
+        'shock-z': { type: 'string' },
+        'shock-pct': { type: 'string' },
+        years: { type: 'string' },
+        'radius-bands': { type: 'string' },
+        'out-dir': { type: 'string' },
+        format: { type: 'string' },
+        force: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { command: 'help' };
+  }
+  if (positionals.length !== 1 || !COMMANDS.includes(positionals[0])) {
+    const given = positionals.length === 0 ? 'no command' : `"${positionals.join(' ')}"`;
+    throw new UsageError(`Expected one of ${COMMANDS.join(', ')}, got ${given}.`);
+  }
+  if (values.format !== undefined && !FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}, got "${values.format}".`);
+  }
+
+  const options = {};
+  if (values.datasets !== undefined) options.datasets = parseDatasets(values.datasets);
+  if (values['min-magnitude'] !== undefined) options.minMagnitude = parseNumberFlag(values['min-magnitude'], '--min-magnitude');
+  if (values['shock-z'] !== undefined) options.shockZScore = parseThresholdFlag(values['shock-z'], '--shock-z');
+  if (values['shock-pct'] !== undefined) options.shockPercentChange = parseThresholdFlag(values['shock-pct'], '--shock-pct');
+  if (values.years !== undefined) options.years = parseYears(values.years);
+  if (values['radius-bands'] !== undefined) options.radiusBands = parseRadiusBands(values['radius-bands']);
+  if (values['out-dir'] !== undefined) options.outDir = path.resolve(values['out-dir']);
+  if (values.format !== undefined) options.format = values.format;
+  if (values.force) options.force = true;
+  return { command: positionals[0], options };
+}
+
+function printReport(outDir) {
+  const reportPath = path.join(outDir, 'quality_report.json');
+  if (!fs.existsSync(reportPath)) {
+    throw new Error(`No quality report at ${reportPath}; run the build first.`);
+  }
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  report.stages.forEach((stage) => {
+    console.log(`${stage.stage}:`);
+    stage.datasets.forEach((entry) => {
+      if (entry.status === 'skipped') {
+        console.log(`  ${entry.dataset}: skipped (${entry.skip_reason})`);
+        return;
+      }
+      console.log(`  ${entry.dataset}: ${entry.rows_read} read, ${entry.rows_written} written`);
+      entry.issues.forEach((issue) => console.log(`    ${issue.kind} ${issue.count} - ${issue.reason}`));
+    });
+  });
+  console.log(`\nFull report with sample rows: ${path.join(outDir, 'quality_report.html')}`);
+}
+
+function main(argv) {
+  let command;
+  let options;
+  try {
+    ({ command, options } = parseCommandLine(argv));
+  } catch (error) {
+    console.error(`pipeline: ${error.message}\nRun with --help for usage.`);
+    return EXIT_USAGE;
+  }
+
+  if (command === 'help') {
+    console.log(HELP);
+    return EXIT_OK;
+  }
+
+  try {
+    if (command === 'clean' || command === 'all') {
+      runClean(options);
+    }
+    if (command === 'build' || command === 'all') {
+      runBuild(options);
+    }
+    if (command === 'report') {
+      printReport(options.outDir ?? DEFAULT_BUILD_OPTIONS.outDir);
+    }
+  } catch (error) {
+    console.error(`pipeline ${command}: ${error.message}`);
+    return EXIT_FAILURE;
+  }
+  return EXIT_OK;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+
+const SAMPLE_LIMIT = 5;
+const STAGE_TITLES = {
+  clean: 'Cleaning (clean_data.js, raw to intermediate)',
+  build: 'Build (build_processed.js, intermediate to processed)'
+};
+
+// Collects every row a pipeline stage drops or rewrites, keyed by dataset and reason, with the
+// first few offending rows kept as samples.
+export function createQualityLog(stage) {
+  const datasets = new Map();
+
+  function datasetEntry(dataset) {
+    if (!datasets.has(dataset)) {
+      datasets.set(dataset, { dataset, status: 'processed', rows_read: 0, rows_written: 0, issues: new Map() });
+    }
+    return datasets.get(dataset);
+  }
+
+  function record(kind, dataset, reason, sample) {
+    const issues = datasetEntry(dataset).issues;
+    const key = `${kind}:${reason}`;
+    if (!issues.has(key)) {
+      issues.set(key, { kind, reason, count: 0, samples: [] });
+    }
+    const issue = issues.get(key);
+    issue.count += 1;
+    if (sample && issue.samples.length < SAMPLE_LIMIT) {
+      issue.samples.push(sample);
+    }
+  }
+
+  return {
+    dropped: (dataset, reason, sample) => record('dropped', dataset, reason, sample),
+    coerced: (dataset, reason, sample) => record('coerced', dataset, reason, sample),
+    totals(dataset, rowsRead, rowsWritten) {
+      const entry = datasetEntry(dataset);
+      entry.rows_read = rowsRead;
+      entry.rows_written = rowsWritten;
+    },
+    skipped(dataset, reason) {
+      const entry = datasetEntry(dataset);
+      entry.status = 'skipped';
+      entry.skip_reason = reason;
+    },
+    toJSON() {
+      return {
+        stage,
+        datasets: [...datasets.values()].map((entry) => ({
+          ...entry,
+          issues: [...entry.issues.values()].sort((a, b) => b.count - a.count)
+        }))
+      };
+    }
+  };
+}
+
+export function readQualityStage(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderSamples(samples) {
+  if (samples.length === 0) {
+    return '';
+  }
+  const columns = [...new Set(samples.flatMap((sample) => Object.keys(sample)))];
+  const header = columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = samples
+    .map((sample) => `<tr>${columns.map((column) => `<td>${escapeHtml(sample[column])}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table class="samples"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function renderDataset(entry) {
+  if (entry.status === 'skipped') {
+    return `<section><h3>${escapeHtml(entry.dataset)}</h3><p class="muted">Skipped: ${escapeHtml(entry.skip_reason)}</p></section>`;
+  }
+  const issues = entry.issues.length === 0
+    ? '<p class="muted">No rows dropped or rewritten.</p>'
+    : entry.issues
+      .map((issue) => `
+        <details>
+          <summary><span class="kind ${issue.kind}">${issue.kind}</span> ${escapeHtml(issue.reason)} <strong>${issue.count.toLocaleString('en-US')}</strong></summary>
+          ${renderSamples(issue.samples)}
+        </details>`)
+      .join('');
+  return `
+    <section>
+      <h3>${escapeHtml(entry.dataset)}</h3>
+      <p class="muted">${entry.rows_read.toLocaleString('en-US')} rows read, ${entry.rows_written.toLocaleString('en-US')} rows written</p>
+      ${issues}
+    </section>`;
+}
+
+function renderStage(stage) {
+  return `
+  <h2>${escapeHtml(STAGE_TITLES[stage.stage] ?? stage.stage)}</h2>
+  ${stage.datasets.map(renderDataset).join('')}`;
+}
+
+function renderHtml(report) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Data Quality Report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #0f172a; }
+    h2 { border-bottom: 1px solid #cbd5e1; padding-bottom: 0.25rem; margin-top: 2rem; }
+    section { margin-bottom: 1.25rem; }
+    details { margin: 0.25rem 0; }
+    summary { cursor: pointer; }
+    .muted { color: #64748b; font-weight: normal; }
+    .kind { display: inline-block; min-width: 4.5rem; font-size: 0.75rem; text-transform: uppercase; }
+    .kind.dropped { color: #b91c1c; }
+    .kind.coerced { color: #b45309; }
+    .samples { border-collapse: collapse; margin: 0.5rem 0 0.75rem 4.5rem; font-size: 0.8rem; }
+    .samples th, .samples td { border: 1px solid #e2e8f0; padding: 0.2rem 0.5rem; text-align: left; }
+  </style>
+</head>
+<body>
+  <h1>Data Quality Report</h1>
+  <p>Every row the pipeline dropped or rewrote, grouped by dataset and reason, with up to ${SAMPLE_LIMIT} sample rows each.
+  Line numbers refer to the source file, counting the header as line 1.</p>
+  ${report.stages.map(renderStage).join('')}
+</body>
+</html>
+`;
+}
+
+export function writeQualityReport(dirPath, stages) {
+  const report = { stages: stages.filter(Boolean) };
+  fs.writeFileSync(path.join(dirPath, 'quality_report.json'), `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  fs.writeFileSync(path.join(dirPath, 'quality_report.html'), renderHtml(report), 'utf8');
+}
@@ -0,0 +1,178 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_KM;
+const HALF_CIRCUMFERENCE_KM = Math.PI * EARTH_RADIUS_KM;
+const DEFAULT_CELL_SIZE_DEG = 1;
+const INITIAL_SEARCH_RADIUS_KM = 100;
+
+export function distanceKm(a, b) {
+  if (!Number.isFinite(a.latitude) || !Number.isFinite(a.longitude) || !Number.isFinite(b.latitude) || !Number.isFinite(b.longitude)) {
+    return Infinity;
+  }
+  const rad = Math.PI / 180;
+  const lat1 = a.latitude * rad;
+  const lat2 = b.latitude * rad;
+  const dLat = (b.latitude - a.latitude) * rad;
+  const dLon = (b.longitude - a.longitude) * rad;
+
+  const sinLat = Math.sin(dLat / 2);
+  const sinLon = Math.sin(dLon / 2);
+  const h = sinLat * sinLat + Math.cos(lat1) * Math.cos(lat2) * sinLon * sinLon;
+  const c = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  return EARTH_RADIUS_KM * c;
+}
+
+export function bearingDeg(a, b) {
+  const rad = Math.PI / 180;
+  const lat1 = a.latitude * rad;
+  const lat2 = b.latitude * rad;
+  const dLon = (b.longitude - a.longitude) * rad;
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) / rad) + 360) % 360;
+}
+
+// Equal-angle latitude/longitude grid. Queries only collect candidates from the cells that can
+// overlap the search cap and then apply the exact haversine test, so results are identical to a
+// brute-force scan over every point.
+export function createSpatialIndex(items, options = {}) {
+  const cellSize = options.cellSizeDeg ?? DEFAULT_CELL_SIZE_DEG;
+  const rows = Math.ceil(180 / cellSize);
+  const columns = Math.ceil(360 / cellSize);
+  const cells = new Map();
+  const entries = [];
+
+  function rowOf(latitude) {
+    return Math.min(Math.max(Math.floor((latitude + 90) / cellSize), 0), rows - 1);
+  }
+
+  function columnOf(longitude) {
+    const column = Math.floor((longitude + 180) / cellSize);
+    return ((column % columns) + columns) % columns;
+  }
+
+  items.forEach((item, order) => {
+    if (!Number.isFinite(item.latitude) || !Number.isFinite(item.longitude)) {
+      return;
+    }
+    const entry = { item, order };
+    const key = rowOf(item.latitude) * columns + columnOf(item.longitude);
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(entry);
+    entries.push(entry);
+  });
+
+  function candidateEntries(origin, radiusKm) {
+    if (!Number.isFinite(radiusKm) || radiusKm >= HALF_CIRCUMFERENCE_KM) {
+      return entries;
+    }
+    const margin = 1e-6;
+    const dLat = radiusKm / KM_PER_DEGREE + margin;
+    const minLat = origin.latitude - dLat;
+    const maxLat = origin.latitude + dLat;
+
+    let dLon = 180;
+    if (minLat > -90 && maxLat < 90) {
+      const ratio = Math.sin(radiusKm / EARTH_RADIUS_KM) / Math.cos(origin.latitude * (Math.PI / 180));
+      if (ratio < 1) {
+        dLon = Math.asin(ratio) * (180 / Math.PI) + margin;
+      }
+    }
+
+    const firstRow = rowOf(minLat);
+    const lastRow = rowOf(maxLat);
+    const firstColumn = Math.floor((origin.longitude - dLon + 180) / cellSize);
+    const lastColumn = Math.floor((origin.longitude + dLon + 180) / cellSize);
+    const columnSpan = dLon >= 180 ? columns : Math.min(lastColumn - firstColumn + 1, columns);
+
+    const candidates = [];
+    for (let row = firstRow; row <= lastRow; row += 1) {
+      for (let offset = 0; offset < columnSpan; offset += 1) {
+        const column = (((firstColumn + offset) % columns) + columns) % columns;
+        const cell = cells.get(row * columns + column);
+        if (cell) {
+          candidates.push(...cell);
+        }
+      }
+    }
+    return candidates;
+  }
+
+  function withinRadius(origin, radiusKm) {
+    if (!Number.isFinite(origin.latitude) || !Number.isFinite(origin.longitude)) {
+      return [];
+    }
+    return candidateEntries(origin, radiusKm)
+      .map((entry) => ({ entry, distance: distanceKm(origin, entry.item) }))
+      .filter(({ distance }) => distance <= radiusKm)
+      .sort((a, b) => a.entry.order - b.entry.order)
+      .map(({ entry, distance }) => ({ item: entry.item, distanceKm: distance }));
+  }
+
+  function countWithinRadius(origin, radiusKm) {
+    if (!Number.isFinite(origin.latitude) || !Number.isFinite(origin.longitude)) {
+      return 0;
+    }
+    let count = 0;
+    candidateEntries(origin, radiusKm).forEach((entry) => {
+      if (distanceKm(origin, entry.item) <= radiusKm) {
+        count += 1;
+      }
+    });
+    return count;
+  }
+
+  function nearest(origin, k) {
+    if (k <= 0 || entries.length === 0 || !Number.isFinite(origin.latitude) || !Number.isFinite(origin.longitude)) {
+      return [];
+    }
+    let radiusKm = INITIAL_SEARCH_RADIUS_KM;
+    let matches = withinRadius(origin, radiusKm);
+    while (matches.length < k && radiusKm < HALF_CIRCUMFERENCE_KM) {
+      radiusKm *= 2;
+      matches = withinRadius(origin, radiusKm >= HALF_CIRCUMFERENCE_KM ? Infinity : radiusKm);
+    }
+    return matches
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, k);
+  }
+
+  // Bounds use longitudes in [-180, 180]; west > east means the box crosses the antimeridian.
+  // Matches come back in insertion order, so callers can rank items before indexing them.
+  function withinBounds({ south, west, north, east }) {
+    const crossesAntimeridian = west > east;
+    const firstColumn = columnOf(west);
+    const columnSpan = crossesAntimeridian
+      ? ((columnOf(east) - firstColumn + columns) % columns) + 1
+      : Math.min(Math.floor((east + 180) / cellSize) - Math.floor((west + 180) / cellSize) + 1, columns);
+
+    const matches = [];
+    for (let row = rowOf(south); row <= rowOf(north); row += 1) {
+      for (let offset = 0; offset < columnSpan; offset += 1) {
+        const cell = cells.get(row * columns + ((firstColumn + offset) % columns));
+        if (!cell) {
+          continue;
+        }
+        cell.forEach((entry) => {
+          const { latitude, longitude } = entry.item;
+          const inLongitude = crossesAntimeridian
+            ? longitude >= west || longitude <= east
+            : longitude >= west && longitude <= east;
+          if (inLongitude && latitude >= south && latitude <= north) {
+            matches.push(entry);
+          }
+        });
+      }
+    }
+    return matches.sort((a, b) => a.order - b.order).map((entry) => entry.item);
+  }
+
+  return {
+    size: entries.length,
+    withinRadius,
+    countWithinRadius,
+    nearest,
+    withinBounds
+  };
+}
@@ -0,0 +1,214 @@
+import { createReadStream, readFileSync, realpathSync, statSync } from "fs";
+import path from "path";
+import { pipeline } from "stream";
+import zlib from "zlib";
+import { MIME_TYPES } from "./mime-types.js";
+
+const ALLOWED_METHODS = "GET, HEAD";
+const MIN_COMPRESS_BYTES = 1024;
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(json|javascript|geo\+json)|image\/svg\+xml)/;
+// Brotli's default quality 11 takes seconds on the multi-megabyte CSVs; 5 is close in size and fast.
+const ENCODERS = {
+  br: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+  gzip: () => zlib.createGzip()
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function respondWithError(res, status, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8", ...headers });
+  res.end(message);
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(`${root}${path.sep}`);
+}
+
+// Decodes the URL path and resolves it under root. Anything that escapes root, including through
+// a symlink, is refused; dotfiles such as .git are hidden.
+function resolveTarget(root, requestUrl) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestUrl.split("?")[0].split("#")[0]);
+  } catch {
+    throw new HttpError(400, "Bad Request");
+  }
+  if (decoded.includes("\0") || !decoded.startsWith("/")) {
+    throw new HttpError(400, "Bad Request");
+  }
+  const target = path.resolve(root, `.${decoded}`);
+  if (!isInside(root, target)) {
+    throw new HttpError(403, "Forbidden");
+  }
+  if (path.relative(root, target).split(path.sep).some((segment) => segment.startsWith("."))) {
+    throw new HttpError(404, "Not Found");
+  }
+
+  let filePath = target;
+  let stats;
+  try {
+    stats = statSync(filePath);
+    if (stats.isDirectory()) {
+      filePath = path.join(filePath, "index.html");
+      stats = statSync(filePath);
+    }
+  } catch {
+    throw new HttpError(404, "Not Found");
+  }
+  if (!stats.isFile()) {
+    throw new HttpError(404, "Not Found");
+  }
+  if (!isInside(root, realpathSync(filePath))) {
+    throw new HttpError(403, "Forbidden");
+  }
+  return { filePath, stats };
+}
+
+function parseAcceptEncoding(header) {
+  const accepted = new Map();
+  (header ?? "").split(",").forEach((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    if (!name) {
+      return;
+    }
+    const qParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+    accepted.set(name, qParam ? Number(qParam.slice(2)) : 1);
+  });
+  return accepted;
+}
+
+function negotiateEncoding(header) {
+  const accepted = parseAcceptEncoding(header);
+  return Object.keys(ENCODERS).find((encoding) => {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : accepted.get("*");
+    return q > 0;
+  }) ?? null;
+}
+
+// Only single ranges are honoured; a multi-range request gets the whole file, which RFC 9110
+// allows. Returns null to send the whole file, or { start, end } (inclusive) or "unsatisfiable".
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header ?? "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+  if (match[1] === "") {
+    const suffix = Number(match[2]);
+    return suffix === 0 || size === 0 ? "unsatisfiable" : { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+  const start = Number(match[1]);
+  const end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  if (start >= size || start > end) {
+    return "unsatisfiable";
+  }
+  return { start, end };
+}
+
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(",").some((tag) => {
+      const candidate = tag.trim();
+      return candidate === "*" || candidate.replace(/^W\//, "") === etag;
+    });
+  }
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] ?? "");
+  return Number.isFinite(ifModifiedSince) && Math.floor(lastModified / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+// If-Range carries either the ETag or the Last-Modified date of the copy the client already has.
+// Ranges are always served from the uncompressed file, so only its ETag can match.
+function rangeStillValid(req, etag, lastModifiedHeader) {
+  const ifRange = req.headers["if-range"];
+  return !ifRange || ifRange === etag || ifRange === lastModifiedHeader;
+}
+
+// Static file handler for the dev server. Responses are revalidated on every request
+// (Cache-Control: no-cache), so reloads cost a 304 unless the file changed. transformHtml, when
+// given, rewrites HTML pages before they are sent (live reload uses it to inject its client).
+export function createStaticHandler({ root, transformHtml = null }) {
+  const rootDir = realpathSync(root);
+
+  return function handle(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      respondWithError(res, 405, "Method Not Allowed", { Allow: ALLOWED_METHODS });
+      return;
+    }
+
+    let target;
+    try {
+      target = resolveTarget(rootDir, req.url ?? "");
+    } catch (error) {
+      respondWithError(res, error.status ?? 500, error.message);
+      return;
+    }
+
+    const { filePath, stats } = target;
+    const ext = path.extname(filePath).toLowerCase();
+    const contentType = MIME_TYPES[ext] ?? "application/octet-stream";
+    const body = transformHtml && ext === ".html" ? Buffer.from(transformHtml(readFileSync(filePath, "utf8"))) : null;
+    const size = body ? body.length : stats.size;
+    const lastModified = stats.mtime.toUTCString();
+    // Each encoding is a different representation, so it gets its own strong ETag.
+    const identityTag = `"${size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${body ? "-t" : ""}"`;
+    const compressible = size >= MIN_COMPRESS_BYTES && COMPRESSIBLE_TYPE.test(contentType);
+    let encoding = compressible ? negotiateEncoding(req.headers["accept-encoding"]) : null;
+    const etag = encoding ? identityTag.replace(/"$/, `-${encoding}"`) : identityTag;
+
+    const headers = {
+      "Content-Type": contentType,
+      "Cache-Control": "no-cache",
+      ETag: etag,
+      "Last-Modified": lastModified,
+      "Accept-Ranges": "bytes",
+      Vary: "Accept-Encoding"
+    };
+
+    if (isNotModified(req, etag, stats.mtimeMs)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    const range = rangeStillValid(req, identityTag, lastModified) ? parseRange(req.headers.range, size) : null;
+    if (range === "unsatisfiable") {
+      respondWithError(res, 416, "Range Not Satisfiable", { "Content-Range": `bytes */${size}` });
+      return;
+    }
+
+    let status = 200;
+    let start = 0;
+    let end = size - 1;
+    if (range) {
+      status = 206;
+      encoding = null;
+      ({ start, end } = range);
+      headers.ETag = identityTag;
+      headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+    }
+
+    if (encoding) {
+      headers["Content-Encoding"] = encoding;
+    } else {
+      headers["Content-Length"] = end - start + 1;
+    }
+    res.writeHead(status, headers);
+
+    if (req.method === "HEAD" || size === 0) {
+      res.end();
+      return;
+    }
+    const source = body ? [body.subarray(start, end + 1)] : createReadStream(filePath, { start, end });
+    const streams = encoding ? [source, ENCODERS[encoding](), res] : [source, res];
+    pipeline(...streams, (error) => {
+      if (error) {
+        res.destroy();
+      }
+    });
+  };
+}
@@ -1,10 +1,52 @@
 (() => {
   const MAP_ID = "global-map";
-  const DATA_URL = "data/processed/unified_dataset.csv";
+  const GDP_URL = "data/processed/gdp.json";
+  const COUNTRY_CODES_URL = "data/processed/country_codes.json";
+  const LAYER_URLS = {
+    earthquake: "data/processed/layers/earthquakes.geojson",
+    airport: "data/processed/layers/airports.geojson",
+    port: "data/processed/layers/ports.geojson",
+    powerplant: "data/processed/layers/powerplants.geojson",
+    nuclear_plant: "data/processed/layers/nuclear_plants.geojson"
+  };
   const TOPOJSON_URL = "data/world/countries-110m.json";
+  const EXPOSURE_URL = "data/processed/earthquake_exposure.csv";
+  const NEAREST_URL = "data/processed/earthquake_nearest_facilities.csv";
+  const NUCLEAR_POPULATION_URL = "data/processed/nuclear_population.csv";
+  const PORT_PROFILES_URL = "data/processed/port_profiles.csv";
+  const FEATURES_API_URL = "api/features";
+  const NUCLEAR_POPULATION_RADII_KM = [30, 75, 150, 300, 600, 1200];
+  const NUCLEAR_POPULATION_YEARS = [1990, 2000, 2010];
   const MAGNITUDE_THRESHOLD = 2.0;
-  const MAX_EVENTS = 500;
-  const MAX_INFRASTRUCTURE = 1000;
+  // Well above the whole catalog, so even the cumulative window draws every event; it only guards
+  // against a much larger catalog swamping the SVG renderer.
+  const MAX_EVENTS = 5000;
+  // Facilities are loaded for the area in view. The cap is above the largest layer (about 35,000
+  // power plants), so at world zoom every facility is clustered; it guards against a larger layer.
+  const VIEWPORT_FEATURE_LIMIT = 50000;
+  const MAX_ZOOM = 6;
+  const TIME_HISTOGRAM_HEIGHT = 36;
+  // Range sliders in the filter panel; their bounds come from the loaded earthquakes.
+  const EARTHQUAKE_RANGE_FILTERS = [
+    { field: "magnitude", label: "Magnitude", step: 0.1 },
+    { field: "depth_km", label: "Depth (km)", step: 1 },
+    { field: "sig", label: "Significance", step: 1 },
+    { field: "mmi", label: "MMI", step: 1 }
+  ];
+  const INFRASTRUCTURE_COLORS = {
+    airport: "#10b981",
+    port: "#06b6d4",
+    powerplant: "#f59e0b",
+    nuclear_plant: "#ef4444"
+  };
+  const GDP_DATASET_FIELDS = {
+    gdp_total: "total",
+    gdp_per_capita: "perCapita",
+    gdp_growth: "growth",
+    gdp_per_capita_growth: "perCapitaGrowth",
+    gdp_ppp: "ppp",
+    gdp_ppp_per_capita: "pppPerCapita"
+  };
 
   function parseNumber(value) {
     if (value === '' || value === null || value === undefined) {
@@ -23,6 +65,20 @@
     return shuffled;
   }
 
+  function formatPercent(value) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return "n/a";
+    return `${value > 0 ? "+" : ""}${value.toFixed(1)}%`;
+  }
+
+  function buildGdpDetails(gdp) {
+    return `
+      <strong>GDP per Capita:</strong> ${gdp && gdp.perCapita ? formatNumber(gdp.perCapita) : "n/a"}<br/>
+      <strong>GDP per Capita (PPP):</strong> ${gdp && gdp.pppPerCapita ? formatNumber(gdp.pppPerCapita) : "n/a"}<br/>
+      <strong>GDP Growth:</strong> ${formatPercent(gdp ? gdp.growth : null)}<br/>
+      <strong>GDP per Capita Growth:</strong> ${formatPercent(gdp ? gdp.perCapitaGrowth : null)}
+    `;
+  }
+
   function formatMagnitude(magnitude) {
     return magnitude !== null ? magnitude.toFixed(1) : "n/a";
   }
@@ -52,19 +108,122 @@
     return "#92400e";
   }
 
-  function getInfrastructureIcon(dataset) {
-    const colors = {
-      airport: "#10b981",
-      port: "#06b6d4",
-      powerplant: "#f59e0b",
-      nuclear_plant: "#ef4444"
+  // Facilities are canvas circle markers; size is the diameter in pixels.
+  function getInfrastructureStyle(dataset, size = 8, colorOverride = null) {
+    return {
+      radius: size / 2,
+      color: "#ffffff",
+      weight: 1,
+      fillColor: colorOverride || INFRASTRUCTURE_COLORS[dataset] || "#6b7280",
+      fillOpacity: 1
     };
-    const color = colors[dataset] || "#6b7280";
-    return L.divIcon({
-      className: "infrastructure-marker",
-      html: `<div style="background-color: ${color}; width: 8px; height: 8px; border-radius: 50%; border: 1px solid white;"></div>`,
-      iconSize: [8, 8]
+  }
+
+  function formatClusterCount(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+  }
+
+  function createClusterIcon(dataset) {
+    return (cluster) => {
+      const count = cluster.getChildCount();
+      const size = count < 100 ? 28 : count < 1000 ? 34 : 40;
+      return L.divIcon({
+        className: "infrastructure-cluster",
+        html: `<div style="background-color: ${INFRASTRUCTURE_COLORS[dataset]};">${formatClusterCount(count)}</div>`,
+        iconSize: [size, size]
+      });
+    };
+  }
+
+  function getVulnerabilityColor(score) {
+    if (score === null || score === undefined) {
+      return "#6b7280";
+    }
+    const normalized = Math.min(Math.max(score / 100, 0), 1);
+    return normalized < 0.5
+      ? interpolateColor("#22c55e", "#facc15", normalized * 2)
+      : interpolateColor("#facc15", "#dc2626", (normalized - 0.5) * 2);
+  }
+
+  function groupPortProfilesByRecord(profileRows) {
+    const byRecord = {};
+    profileRows.forEach(row => {
+      if (!row.record_id) return;
+      byRecord[row.record_id] = {
+        harbor_size: row.harbor_size || "",
+        harbor_type: row.harbor_type || "",
+        shelter: row.shelter || "",
+        tide_range_ft: parseNumber(row.tide_range_ft),
+        channel_depth_m: row.channel_depth_m || "",
+        max_vessel: row.max_vessel || "",
+        tsunami_events_nearby: parseNumber(row.tsunami_events_nearby),
+        tsunami_vulnerability_score: parseNumber(row.tsunami_vulnerability_score)
+      };
+    });
+    return byRecord;
+  }
+
+  function groupPopulationByRecord(populationRows) {
+    const byRecord = {};
+    populationRows.forEach(row => {
+      const radius = parseNumber(row.radius_km);
+      const year = parseNumber(row.year);
+      if (!row.record_id || radius === null || year === null) return;
+      if (!byRecord[row.record_id]) {
+        byRecord[row.record_id] = {};
+      }
+      if (!byRecord[row.record_id][radius]) {
+        byRecord[row.record_id][radius] = {};
+      }
+      byRecord[row.record_id][radius][year] = {
+        total: parseNumber(row.population_total),
+        urban: parseNumber(row.population_urban),
+        rural: parseNumber(row.population_rural)
+      };
     });
+    return byRecord;
+  }
+
+  function formatPopulation(value) {
+    if (value === null || value === undefined) return "n/a";
+    if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+    if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(0)}k`;
+    return Math.round(value).toLocaleString();
+  }
+
+  function buildPopulationTable(population) {
+    const header = NUCLEAR_POPULATION_YEARS.map(year => `<th>${year}</th>`).join("");
+    const body = NUCLEAR_POPULATION_RADII_KM
+      .filter(radius => population[radius])
+      .map(radius => {
+        const cells = NUCLEAR_POPULATION_YEARS
+          .map(year => `<td>${formatPopulation(population[radius][year] ? population[radius][year].total : null)}</td>`)
+          .join("");
+        const latest = population[radius][2010];
+        const urbanShare = latest && latest.total ? `${Math.round((latest.urban / latest.total) * 100)}%` : "n/a";
+        return `<tr><td>${radius} km</td>${cells}<td>${urbanShare}</td></tr>`;
+      })
+      .join("");
+
+    return `
+      <strong>Population at risk:</strong>
+      <table class="exposure-table">
+        <thead><tr><th></th>${header}<th>urban 2010</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  function nuclearMarkerSize(plant, radiusKm, maxPopulation) {
+    if (!radiusKm || !plant.population || !plant.population[radiusKm] || !maxPopulation) {
+      return 8;
+    }
+    const latest = plant.population[radiusKm][2010];
+    if (!latest || latest.total === null) {
+      return 8;
+    }
+    return Math.round(6 + Math.sqrt(latest.total / maxPopulation) * 30);
   }
 
   function interpolateColor(color1, color2, factor) {
@@ -131,78 +290,271 @@
     return colorStops[colorStops.length - 1].color;
   }
 
+  const CHOROPLETH_METRICS = {
+    gdp_total: { label: "Total GDP", value: (gdp) => gdp ? gdp.total : null, format: formatNumber, shockField: "total" },
+    gdp_per_capita: { label: "GDP per Capita", value: (gdp) => gdp ? gdp.perCapita : null, format: formatNumber, shockField: "perCapita" },
+    gdp_ppp_per_capita: {
+      label: "GDP per Capita (PPP)",
+      value: (gdp) => gdp ? gdp.pppPerCapita : null,
+      format: formatNumber,
+      shockField: "pppPerCapita"
+    },
+    gdp_growth: { label: "GDP Growth", value: (gdp) => gdp ? gdp.growth : null, format: formatPercent, shockField: "total" },
+    event_count: { label: "Earthquake Events", value: (gdp, eventCount) => eventCount, format: (value) => value === null ? "n/a" : String(value) }
+  };
+
+  const CHOROPLETH_SCALES = {
+    rank: "Percentile rank",
+    quantile: "Quantile classes",
+    linear: "Linear",
+    log: "Logarithmic",
+    diverging: "Diverging (around 0)"
+  };
+
+  const QUANTILE_CLASSES = 5;
+  const SHOCK_FILL_COLOR = "#9ca3af";
+  const DIVERGING_NEGATIVE = "#b91c1c";
+  const DIVERGING_NEUTRAL = "#ffffff";
+  const DIVERGING_POSITIVE = "#1d4ed8";
+
+  function getDivergingColor(position) {
+    if (position === null || !Number.isFinite(position)) {
+      return "#d1d5db";
+    }
+    const clamped = Math.min(Math.max(position, -1), 1);
+    return clamped < 0
+      ? interpolateColor(DIVERGING_NEUTRAL, DIVERGING_NEGATIVE, -clamped)
+      : interpolateColor(DIVERGING_NEUTRAL, DIVERGING_POSITIVE, clamped);
+  }
+
+  function buildRankLookup(sortedValues) {
+    const valueToRank = new Map();
+    const valuePositions = new Map();
+    sortedValues.forEach((value, index) => {
+      if (!valuePositions.has(value)) {
+        valuePositions.set(value, []);
+      }
+      valuePositions.get(value).push(index);
+    });
+    valuePositions.forEach((positions, value) => {
+      const avgPosition = positions.reduce((sum, pos) => sum + pos, 0) / positions.length;
+      valueToRank.set(value, sortedValues.length > 1 ? avgPosition / (sortedValues.length - 1) : 0.5);
+    });
+    return valueToRank;
+  }
+
+  function buildChoroplethScale(values, mode, format) {
+    const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+    const min = sorted.length > 0 ? sorted[0] : 0;
+    const max = sorted.length > 0 ? sorted[sorted.length - 1] : 1;
+    const rankGradient = "linear-gradient(to right, #ffffff 0%, #fff59d 8%, #ffeb3b 15%, #ffc107 22%, #ff9800 30%, " +
+      "#ff5722 38%, #f44336 45%, #e91e63 52%, #9c27b0 60%, #673ab7 68%, #3f51b5 75%, #2196f3 82%, " +
+      "#1976d2 88%, #0d47a1 93%, #000051 100%)";
+
+    if (mode === "quantile") {
+      const thresholds = d3.range(1, QUANTILE_CLASSES).map(i => d3.quantileSorted(sorted, i / QUANTILE_CLASSES));
+      const classColors = d3.range(QUANTILE_CLASSES).map(i => getGdpColorByRank(i / (QUANTILE_CLASSES - 1)));
+      const stops = classColors
+        .map((color, i) => `${color} ${(i / QUANTILE_CLASSES) * 100}%, ${color} ${((i + 1) / QUANTILE_CLASSES) * 100}%`)
+        .join(", ");
+      return {
+        colorFor: (value) => value === null || !Number.isFinite(value) || sorted.length === 0
+          ? getGdpColorByRank(null)
+          : classColors[d3.bisectRight(thresholds, value)],
+        gradient: `linear-gradient(to right, ${stops})`,
+        labels: [format(min), format(max)]
+      };
+    }
+
+    if (mode === "linear") {
+      const span = max - min;
+      return {
+        colorFor: (value) => value === null || !Number.isFinite(value)
+          ? getGdpColorByRank(null)
+          : getGdpColorByRank(span > 0 ? (value - min) / span : 0.5),
+        gradient: rankGradient,
+        labels: [format(min), format(max)]
+      };
+    }
+
+    if (mode === "log") {
+      const positive = sorted.filter(v => v > 0);
+      const logMin = positive.length > 0 ? Math.log10(positive[0]) : 0;
+      const logMax = positive.length > 0 ? Math.log10(positive[positive.length - 1]) : 1;
+      const span = logMax - logMin;
+      return {
+        colorFor: (value) => value === null || !Number.isFinite(value) || value <= 0
+          ? getGdpColorByRank(null)
+          : getGdpColorByRank(span > 0 ? (Math.log10(value) - logMin) / span : 0.5),
+        gradient: rankGradient,
+        labels: positive.length > 0 ? [format(positive[0]), format(positive[positive.length - 1])] : ["n/a", "n/a"]
+      };
+    }
+
+    if (mode === "diverging") {
+      const maxAbs = Math.max(Math.abs(min), Math.abs(max)) || 1;
+      return {
+        colorFor: (value) => value === null || !Number.isFinite(value)
+          ? getGdpColorByRank(null)
+          : getDivergingColor(value / maxAbs),
+        gradient: `linear-gradient(to right, ${DIVERGING_NEGATIVE} 0%, ${DIVERGING_NEUTRAL} 50%, ${DIVERGING_POSITIVE} 100%)`,
+        labels: [format(-maxAbs), format(maxAbs)]
+      };
+    }
+
+    const valueToRank = buildRankLookup(sorted);
+    return {
+      colorFor: (value) => value !== null && Number.isFinite(value) && valueToRank.has(value)
+        ? getGdpColorByRank(valueToRank.get(value))
+        : getGdpColorByRank(null),
+      gradient: rankGradient,
+      labels: ["Low", "High"]
+    };
+  }
+
   function getCountryName(properties) {
     return properties.name || properties.NAME || properties.NAME_LONG || 
            properties.NAME_EN || properties.ADMIN || "";
   }
 
-  function buildCountryNameToCodeMap(gdpTotal, gdpPerCapita) {
-    const nameToCode = {};
-    const codeToName = {};
-    
-    [...gdpTotal, ...gdpPerCapita].forEach(row => {
-      if (row.country && row.country_code) {
-        const normalizedName = normalizeCountryName(row.country);
-        if (!nameToCode[normalizedName]) {
-          nameToCode[normalizedName] = row.country_code;
-        }
-        codeToName[row.country_code] = normalizedName;
+  function groupExposureByRecord(exposureRows) {
+    const byRecord = {};
+    exposureRows.forEach(row => {
+      const radius = parseNumber(row.radius_km);
+      if (!row.record_id || radius === null) return;
+      if (!byRecord[row.record_id]) {
+        byRecord[row.record_id] = [];
       }
+      byRecord[row.record_id].push({
+        radius_km: radius,
+        airports: parseNumber(row.airports) || 0,
+        airports_large: parseNumber(row.airports_large_airport) || 0,
+        airports_medium: parseNumber(row.airports_medium_airport) || 0,
+        airports_small: parseNumber(row.airports_small_airport) || 0,
+        ports: parseNumber(row.ports) || 0,
+        powerplants: parseNumber(row.powerplants) || 0,
+        powerplant_capacity_mw: parseNumber(row.powerplant_capacity_mw) || 0,
+        nuclear_plants: parseNumber(row.nuclear_plants) || 0,
+        nuclear_reactors: parseNumber(row.nuclear_reactors) || 0
+      });
     });
-    
-    return { nameToCodeMap: nameToCode, codeToNameMap: codeToName };
+    Object.values(byRecord).forEach(bands => bands.sort((a, b) => a.radius_km - b.radius_km));
+    return byRecord;
   }
-  
-  function findCountryCode(topojsonName, nameToCodeMap, codeToNameMap) {
-    if (!topojsonName) return null;
-    
-    const normalized = normalizeCountryName(topojsonName);
-    
-    if (nameToCodeMap[normalized]) {
-      return nameToCodeMap[normalized];
-    }
-    
-    for (const [gdpName, code] of Object.entries(nameToCodeMap)) {
-      if (normalized.includes(gdpName) || gdpName.includes(normalized)) {
-        return code;
+
+  function buildExposureTable(bands) {
+    const rows = [
+      { label: "Airports", value: band => band.airports },
+      { label: "&nbsp;&nbsp;large", value: band => band.airports_large },
+      { label: "&nbsp;&nbsp;medium", value: band => band.airports_medium },
+      { label: "&nbsp;&nbsp;small", value: band => band.airports_small },
+      { label: "Ports", value: band => band.ports },
+      { label: "Power plants", value: band => band.powerplants },
+      { label: "&nbsp;&nbsp;capacity (MW)", value: band => Math.round(band.powerplant_capacity_mw).toLocaleString() },
+      { label: "Nuclear plants", value: band => band.nuclear_plants },
+      { label: "&nbsp;&nbsp;reactors", value: band => band.nuclear_reactors }
+    ];
+
+    const header = bands.map(band => `<th>${band.radius_km} km</th>`).join("");
+    const body = rows
+      .map(row => `<tr><td>${row.label}</td>${bands.map(band => `<td>${row.value(band)}</td>`).join("")}</tr>`)
+      .join("");
+
+    return `
+      <br/><strong>Infrastructure exposure:</strong>
+      <table class="exposure-table">
+        <thead><tr><th></th>${header}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  function groupNearestByRecord(nearestRows) {
+    const byRecord = {};
+    nearestRows.forEach(row => {
+      const latitude = parseNumber(row.latitude);
+      const longitude = parseNumber(row.longitude);
+      if (!row.record_id || latitude === null || longitude === null) return;
+      if (!byRecord[row.record_id]) {
+        byRecord[row.record_id] = [];
       }
-    }
-    
-    return null;
+      byRecord[row.record_id].push({
+        dataset: row.dataset || "",
+        rank: parseNumber(row.rank),
+        facility_id: row.facility_id || "",
+        name: row.name || "",
+        distance_km: parseNumber(row.distance_km),
+        bearing_deg: parseNumber(row.bearing_deg),
+        latitude,
+        longitude
+      });
+    });
+    return byRecord;
   }
 
-  function normalizeCountryName(name) {
-    if (!name) return "";
-    let normalized = name.toLowerCase().trim();
-    const variations = {
-      "united states of america": "united states",
-      "united states": "united states",
-      "usa": "united states",
-      "russia": "russian federation",
-      "south korea": "korea, rep.",
-      "north korea": "korea, dem. people's rep.",
-      "uk": "united kingdom",
-      "united kingdom": "united kingdom"
-    };
-    return variations[normalized] || normalized;
+  function formatBearing(degrees) {
+    if (degrees === null) return "";
+    const points = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+    return points[Math.round(degrees / 45) % 8];
+  }
+
+  function buildNearestFacilitiesList(facilities) {
+    const groups = [
+      { dataset: "airport", label: "Airports" },
+      { dataset: "port", label: "Ports" },
+      { dataset: "powerplant", label: "Power Plants" },
+      { dataset: "nuclear_plant", label: "Nuclear Plants" }
+    ];
+
+    const sections = groups
+      .map(group => {
+        const entries = facilities
+          .filter(facility => facility.dataset === group.dataset)
+          .sort((a, b) => a.rank - b.rank);
+        if (entries.length === 0) return "";
+        const items = entries.map(facility => `
+          <li>
+            <a href="#" class="facility-link"
+               data-dataset="${facility.dataset}"
+               data-id="${encodeURIComponent(facility.facility_id)}"
+               data-lat="${facility.latitude}"
+               data-lng="${facility.longitude}">${facility.name || facility.facility_id}</a>
+            ${facility.distance_km !== null ? facility.distance_km.toLocaleString() : "n/a"} km ${formatBearing(facility.bearing_deg)}
+          </li>
+        `).join("");
+        return `<div class="nearest-group"><em>${group.label}</em><ol>${items}</ol></div>`;
+      })
+      .join("");
+
+    return sections ? `<br/><strong>Nearest facilities:</strong>${sections}` : "";
   }
 
-  function buildEarthquakePopup(row, gdpData) {
+  function buildEarthquakePopup(row, gdpData, exposureBands, nearestFacilities) {
     const magnitude = formatMagnitude(row.magnitude);
     const depth = row.depth_km !== null ? `${row.depth_km.toFixed(1)} km` : "n/a";
     const tsunamiFlag = row.tsunami_flag === 1 ? "Yes" : "No";
     const location = `${row.latitude.toFixed(3)}, ${row.longitude.toFixed(3)}`;
+
+    let countryInfo = "";
+    if (row.country) {
+      const proximityNote = row.country_proximity_flag === 1
+        ? ` (nearest, ${row.country_distance_km ?? "n/a"} km offshore)`
+        : "";
+      countryInfo = `<strong>Country:</strong> ${row.country}${proximityNote}<br/>`;
+    }
     
     let gdpInfo = "";
     if (row.year && row.country_code) {
       const gdp = gdpData[`${row.country_code}_${row.year}`];
       if (gdp) {
         gdpInfo = `<br/><strong>GDP (${row.year}):</strong> ${gdp.total ? formatNumber(gdp.total) : "n/a"}<br/>`;
-        gdpInfo += `<strong>GDP per Capita:</strong> ${gdp.perCapita ? formatNumber(gdp.perCapita) : "n/a"}`;
+        gdpInfo += buildGdpDetails(gdp);
       }
     }
 
-    const infrastructureInfo = `
+    const infrastructureInfo = exposureBands && exposureBands.length > 0
+      ? buildExposureTable(exposureBands)
+      : `
       <br/><strong>Infrastructure within 100km:</strong><br/>
       Airports: ${row.airports_within_100km || 0}<br/>
       Ports: ${row.ports_within_100km || 0}<br/>
@@ -216,9 +568,11 @@
         <strong>Depth:</strong> ${depth}<br/>
         <strong>Tsunami:</strong> ${tsunamiFlag}<br/>
         <strong>Location:</strong> ${location}<br/>
+        ${countryInfo}
         <strong>Date:</strong> ${row.year ?? "n/a"}-${row.month ?? "n/a"}
         ${gdpInfo}
         ${infrastructureInfo}
+        ${nearestFacilities ? buildNearestFacilitiesList(nearestFacilities) : ""}
       </div>
     `;
   }
@@ -234,6 +588,17 @@
       content += `<strong>Type:</strong> ${row.feature_type || "Airport"}<br/>`;
     } else if (row.dataset === "port") {
       content += `<strong>Type:</strong> Port<br/>`;
+      if (row.profile) {
+        const profile = row.profile;
+        if (profile.harbor_size) content += `<strong>Harbor Size:</strong> ${profile.harbor_size}<br/>`;
+        if (profile.harbor_type) content += `<strong>Harbor Type:</strong> ${profile.harbor_type}<br/>`;
+        if (profile.shelter) content += `<strong>Shelter:</strong> ${profile.shelter}<br/>`;
+        if (profile.tide_range_ft !== null) content += `<strong>Tide Range:</strong> ${profile.tide_range_ft} ft<br/>`;
+        if (profile.channel_depth_m) content += `<strong>Channel Depth:</strong> ${profile.channel_depth_m} m<br/>`;
+        if (profile.max_vessel) content += `<strong>Max Vessel:</strong> ${profile.max_vessel}<br/>`;
+        content += `<strong>Tsunami Events Nearby:</strong> ${profile.tsunami_events_nearby ?? "n/a"}<br/>`;
+        content += `<strong>Tsunami Vulnerability:</strong> ${profile.tsunami_vulnerability_score ?? "n/a"} / 100<br/>`;
+      }
     } else if (row.dataset === "powerplant") {
       if (row.capacity_mw) {
         content += `<strong>Capacity:</strong> ${row.capacity_mw.toLocaleString()} MW<br/>`;
@@ -241,10 +606,24 @@
       if (row.primary_fuel) {
         content += `<strong>Fuel Type:</strong> ${row.primary_fuel}<br/>`;
       }
+      if (row.owner) {
+        content += `<strong>Owner:</strong> ${row.owner}<br/>`;
+      }
+      content += row.year !== null
+        ? `<strong>Commissioned:</strong> ${row.year}<br/>`
+        : `<strong>Commissioned:</strong> unknown (shown for all years)<br/>`;
+      if (row.generation_gwh_2021 !== null) {
+        content += `<strong>Generation (2021):</strong> ${row.generation_gwh_2021.toLocaleString()} GWh<br/>`;
+      } else if (row.estimated_generation_gwh_2021 !== null) {
+        content += `<strong>Generation (2021, estimated):</strong> ${row.estimated_generation_gwh_2021.toLocaleString()} GWh<br/>`;
+      }
     } else if (row.dataset === "nuclear_plant") {
       if (row.reactors) {
         content += `<strong>Reactors:</strong> ${row.reactors}<br/>`;
       }
+      if (row.population) {
+        content += buildPopulationTable(row.population);
+      }
     }
     
     if (row.latitude && row.longitude) {
@@ -272,6 +651,8 @@
       name: row.name || "",
       country: row.country || "",
       country_code: row.country_code || "",
+      country_proximity_flag: parseNumber(row.country_proximity_flag),
+      country_distance_km: parseNumber(row.country_distance_km),
       latitude,
       longitude,
       year: parseNumber(row.year),
@@ -279,9 +660,14 @@
       magnitude: parseNumber(row.magnitude),
       depth_km: parseNumber(row.depth_km),
       tsunami_flag: parseNumber(row.tsunami_flag),
+      mmi: parseNumber(row.mmi),
+      sig: parseNumber(row.sig),
       feature_type: row.feature_type || "",
       capacity_mw: parseNumber(row.capacity_mw),
       primary_fuel: row.primary_fuel || "",
+      owner: row.owner || "",
+      generation_gwh_2021: parseNumber(row.generation_gwh_2021),
+      estimated_generation_gwh_2021: parseNumber(row.estimated_generation_gwh_2021),
       reactors: parseNumber(row.reactors),
       airports_within_100km: parseNumber(row.airports_within_100km),
       ports_within_100km: parseNumber(row.ports_within_100km),
@@ -295,17 +681,44 @@
       }
     }
 
-    if (dataset === "gdp_total" || dataset === "gdp_per_capita") {
-      parsed.value = parseNumber(row.value);
-      parsed.value_type = row.value_type || "";
-    }
-
     return parsed;
   }
 
+  // Layer files are GeoJSON points whose properties are the unified-table columns, minus blanks.
+  function parseLayerFeatures(dataset, collection) {
+    return collection.features
+      .map(feature => parseRow({
+        ...feature.properties,
+        dataset,
+        longitude: feature.geometry.coordinates[0],
+        latitude: feature.geometry.coordinates[1]
+      }))
+      .filter(row => row !== null);
+  }
+
+  // gdp.json is keyed by country code, then year; the map looks values up by "CODE_YEAR".
+  function buildGdpData(gdpCountries) {
+    const gdpData = {};
+    Object.entries(gdpCountries).forEach(([code, country]) => {
+      Object.entries(country.years).forEach(([year, values]) => {
+        const entry = {};
+        Object.entries(GDP_DATASET_FIELDS).forEach(([dataset, field]) => {
+          if (values[dataset] !== undefined) {
+            entry[field] = parseNumber(values[dataset]);
+          }
+        });
+        (values.shocks || []).forEach(dataset => {
+          entry.shocks = { ...entry.shocks, [GDP_DATASET_FIELDS[dataset]]: true };
+        });
+        gdpData[`${code}_${year}`] = entry;
+      });
+    });
+    return gdpData;
+  }
+
   function init() {
-    if (typeof L === "undefined" || typeof d3 === "undefined") {
-      console.error("Leaflet or D3 failed to load.");
+    if (typeof L === "undefined" || typeof L.markerClusterGroup !== "function" || typeof d3 === "undefined") {
+      console.error("Leaflet, Leaflet.markercluster or D3 failed to load.");
       return;
     }
 
@@ -321,18 +734,31 @@
     }).setView([20, 0], 2);
 
     L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-      maxZoom: 6,
+      maxZoom: MAX_ZOOM,
       minZoom: 2,
       noWrap: false,
       attribution:
         '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
     }).addTo(map);
 
+    // Infrastructure is drawn on one shared canvas and clustered with count badges until the
+    // maximum zoom, where every facility is shown on its own.
+    const infrastructureRenderer = L.canvas({ padding: 0.5 });
+    function createInfrastructureLayer(dataset) {
+      return L.markerClusterGroup({
+        chunkedLoading: true,
+        showCoverageOnHover: false,
+        maxClusterRadius: 50,
+        disableClusteringAtZoom: MAX_ZOOM,
+        iconCreateFunction: createClusterIcon(dataset)
+      });
+    }
+
     const earthquakeLayer = L.layerGroup();
-    const airportLayer = L.layerGroup();
-    const portLayer = L.layerGroup();
-    const powerplantLayer = L.layerGroup();
-    const nuclearPlantLayer = L.layerGroup();
+    const airportLayer = createInfrastructureLayer("airport");
+    const portLayer = createInfrastructureLayer("port");
+    const powerplantLayer = createInfrastructureLayer("powerplant");
+    const nuclearPlantLayer = createInfrastructureLayer("nuclear_plant");
 
     const overlayMaps = {
       "Earthquakes & Tsunamis": earthquakeLayer,
@@ -352,16 +778,27 @@
           <div class="legend-title">Legend</div>
           
           <div class="legend-section">
-            <div class="legend-section-title">GDP Level</div>
+            <div class="legend-section-title" id="choropleth-legend-title">Total GDP (Percentile rank)</div>
             <div class="gdp-legend">
-              <div class="gdp-gradient"></div>
+              <div class="gdp-gradient" id="choropleth-legend-gradient"></div>
               <div class="gdp-labels">
-                <span>Low</span>
-                <span>High</span>
+                <span id="choropleth-legend-low">Low</span>
+                <span id="choropleth-legend-high">High</span>
               </div>
             </div>
           </div>
           
+          <div class="legend-section" id="port-vulnerability-legend" style="display: none;">
+            <div class="legend-section-title">Port Tsunami Vulnerability</div>
+            <div class="gdp-legend">
+              <div class="gdp-gradient" style="background: linear-gradient(to right, #22c55e 0%, #facc15 50%, #dc2626 100%);"></div>
+              <div class="gdp-labels">
+                <span>0</span>
+                <span>100</span>
+              </div>
+            </div>
+          </div>
+
           <div class="legend-section">
             <div class="legend-section-title">Earthquake Type</div>
             <div class="earthquake-legend">
@@ -383,114 +820,193 @@
     };
     legendControl.addTo(map);
 
-    d3.csv(DATA_URL)
-      .then((rows) => {
-        const parsedRows = rows.map(parseRow).filter(row => row !== null);
-        
-        const earthquakes = parsedRows.filter(r => r.dataset === "earthquake");
-        const airports = parsedRows.filter(r => r.dataset === "airport");
-        const ports = parsedRows.filter(r => r.dataset === "port");
-        const powerplants = parsedRows.filter(r => r.dataset === "powerplant");
-        const nuclearPlants = parsedRows.filter(r => r.dataset === "nuclear_plant");
-        const gdpTotal = parsedRows.filter(r => r.dataset === "gdp_total");
-        const gdpPerCapita = parsedRows.filter(r => r.dataset === "gdp_per_capita");
-
-        const gdpData = {};
-        gdpTotal.forEach(row => {
-          const key = `${row.country_code}_${row.year}`;
-          if (!gdpData[key]) {
-            gdpData[key] = {};
-          }
-          gdpData[key].total = row.value;
-        });
-        gdpPerCapita.forEach(row => {
-          const key = `${row.country_code}_${row.year}`;
-          if (!gdpData[key]) {
-            gdpData[key] = {};
-          }
-          gdpData[key].perCapita = row.value;
-        });
+    const choroplethState = { metric: "gdp_total", scale: "rank", excludeShocks: false };
+    const choroplethControl = L.control({ position: "topleft" });
+    choroplethControl.onAdd = function() {
+      const div = L.DomUtil.create("div", "choropleth-control");
+      const metricOptions = Object.entries(CHOROPLETH_METRICS)
+        .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+        .join("");
+      const scaleOptions = Object.entries(CHOROPLETH_SCALES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join("");
+      div.innerHTML = `
+        <label>Color by
+          <select id="choropleth-metric">${metricOptions}</select>
+        </label>
+        <label>Scale
+          <select id="choropleth-scale">${scaleOptions}</select>
+        </label>
+        <label class="choropleth-toggle">
+          <input type="checkbox" id="choropleth-exclude-shocks" />
+          Leave GDP shocks out of ranking
+        </label>
+      `;
+      div.querySelector("#choropleth-metric").addEventListener("change", (e) => {
+        choroplethState.metric = e.target.value;
+        if (choroplethState.metric === "gdp_growth" && choroplethState.scale === "rank") {
+          choroplethState.scale = "diverging";
+          div.querySelector("#choropleth-scale").value = "diverging";
+        }
+        if (window.refreshGdpLayer) window.refreshGdpLayer();
+      });
+      div.querySelector("#choropleth-scale").addEventListener("change", (e) => {
+        choroplethState.scale = e.target.value;
+        if (window.refreshGdpLayer) window.refreshGdpLayer();
+      });
+      div.querySelector("#choropleth-exclude-shocks").addEventListener("change", (e) => {
+        choroplethState.excludeShocks = e.target.checked;
+        if (window.refreshGdpLayer) window.refreshGdpLayer();
+      });
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      return div;
+    };
+    choroplethControl.addTo(map);
+
+    function updateChoroplethLegend(metric, scale) {
+      const title = document.getElementById("choropleth-legend-title");
+      const gradient = document.getElementById("choropleth-legend-gradient");
+      const low = document.getElementById("choropleth-legend-low");
+      const high = document.getElementById("choropleth-legend-high");
+      if (title) title.textContent = `${metric.label} (${CHOROPLETH_SCALES[choroplethState.scale]})`;
+      if (gradient) gradient.style.background = scale.gradient;
+      if (low) low.textContent = scale.labels[0];
+      if (high) high.textContent = scale.labels[1];
+    }
+
+    function fetchSideTable(url, label) {
+      return d3.csv(url).catch((error) => {
+        console.warn(`${label} unavailable:`, error);
+        return [];
+      });
+    }
+
+    // The earthquakes come with the GDP series because the timeline is built from them.
+    Promise.all([
+      d3.json(GDP_URL),
+      d3.json(LAYER_URLS.earthquake).catch((error) => {
+        console.error("Unable to load earthquake layer:", error);
+        return { type: "FeatureCollection", features: [] };
+      })
+    ])
+      .then(([gdpCountries, earthquakeCollection]) => {
+        const gdpData = buildGdpData(gdpCountries);
+        const exposureByRecord = {};
+        const nearestByRecord = {};
+        const eventCountsByKey = {};
+        const maxNuclearPopulation = {};
+        let nuclearSizeRadius = null;
+        let colorPortsByVulnerability = false;
+
+        function portMarkerColor(port) {
+          if (!colorPortsByVulnerability || !port.profile) return null;
+          return getVulnerabilityColor(port.profile.tsunami_vulnerability_score);
+        }
 
         const earthquakesByYearMonth = {};
-        earthquakes.forEach(event => {
+
+        const layerRows = {
+          earthquake: parseLayerFeatures("earthquake", earthquakeCollection)
+        };
+        layerRows.earthquake.forEach(event => {
           const year = event.year;
           const month = event.month;
-          if (year !== null && year >= 2001 && month !== null) {
+          if (year !== null && month !== null) {
             const yearMonthKey = `${year}-${String(month).padStart(2, '0')}`;
             if (!earthquakesByYearMonth[yearMonthKey]) {
               earthquakesByYearMonth[yearMonthKey] = [];
             }
             earthquakesByYearMonth[yearMonthKey].push(event);
           }
-        });
-
-        const airportsByYear = {};
-        const portsByYear = {};
-        const powerplantsByYear = {};
-        const nuclearPlantsByYear = {};
-        const airportsNoYear = [];
-        const portsNoYear = [];
-        const powerplantsNoYear = [];
-        const nuclearPlantsNoYear = [];
-
-        airports.forEach(airport => {
-          if (airport.year !== null && airport.year >= 2001) {
-            if (!airportsByYear[airport.year]) {
-              airportsByYear[airport.year] = [];
-            }
-            airportsByYear[airport.year].push(airport);
-          } else if (airport.year === null) {
-            airportsNoYear.push(airport);
+          if (event.country_code && year !== null) {
+            const key = `${event.country_code}_${year}`;
+            eventCountsByKey[key] = (eventCountsByKey[key] || 0) + 1;
           }
         });
 
-        ports.forEach(port => {
-          if (port.year !== null && port.year >= 2001) {
-            if (!portsByYear[port.year]) {
-              portsByYear[port.year] = [];
-            }
-            portsByYear[port.year].push(port);
-          } else if (port.year === null) {
-            portsNoYear.push(port);
-          }
-        });
+        const portProfilesByRecord = {};
+        const populationByRecord = {};
 
-        powerplants.forEach(plant => {
-          if (plant.year !== null && plant.year >= 2001) {
-            if (!powerplantsByYear[plant.year]) {
-              powerplantsByYear[plant.year] = [];
+        // Earthquakes are already loaded whole for the timeline; their loader fetches the side tables
+        // the popups use. Infrastructure loaders fetch only side tables too: the facilities themselves
+        // are queried for the area in view (see refreshInfrastructureLayer).
+        const layerLoaders = {
+          earthquake: () => Promise.all([
+            fetchSideTable(EXPOSURE_URL, "Exposure table"),
+            fetchSideTable(NEAREST_URL, "Nearest facility table")
+          ]).then(([exposureRows, nearestRows]) => {
+            Object.assign(exposureByRecord, groupExposureByRecord(exposureRows));
+            Object.assign(nearestByRecord, groupNearestByRecord(nearestRows));
+          }),
+          airport: () => Promise.resolve(),
+          port: () => fetchSideTable(PORT_PROFILES_URL, "Port profile table").then((portProfileRows) => {
+            if (portProfileRows.length === 0) {
+              disableStyleSelect("port-color-mode");
             }
-            powerplantsByYear[plant.year].push(plant);
-          } else if (plant.year === null) {
-            powerplantsNoYear.push(plant);
-          }
-        });
-
-        nuclearPlants.forEach(plant => {
-          if (plant.year !== null && plant.year >= 2001) {
-            if (!nuclearPlantsByYear[plant.year]) {
-              nuclearPlantsByYear[plant.year] = [];
+            Object.assign(portProfilesByRecord, groupPortProfilesByRecord(portProfileRows));
+          }),
+          powerplant: () => Promise.resolve(),
+          nuclear_plant: () => fetchSideTable(NUCLEAR_POPULATION_URL, "Nuclear population table").then((populationRows) => {
+            if (populationRows.length === 0) {
+              disableStyleSelect("nuclear-size-radius");
             }
-            nuclearPlantsByYear[plant.year].push(plant);
-          } else if (plant.year === null) {
-            nuclearPlantsNoYear.push(plant);
+            Object.assign(populationByRecord, groupPopulationByRecord(populationRows));
+            NUCLEAR_POPULATION_RADII_KM.forEach(radius => {
+              maxNuclearPopulation[radius] = Math.max(0, ...Object.values(populationByRecord).map(population =>
+                population[radius] && population[radius][2010] ? population[radius][2010].total || 0 : 0
+              ));
+            });
+          })
+        };
+        const layerRequests = {};
+
+        function ensureLayerLoaded(dataset) {
+          if (!layerRequests[dataset]) {
+            layerRequests[dataset] = layerLoaders[dataset]()
+              .then(() => {
+                refreshFilterOptions();
+                updateLayersForYearMonth(availableYearMonths[currentYearMonthIndex]);
+              })
+              .catch((error) => {
+                // Forget the failed request so switching the layer on again retries it.
+                delete layerRequests[dataset];
+                console.error(`Unable to load ${dataset} layer:`, error);
+              });
           }
-        });
+          return layerRequests[dataset];
+        }
+
+        function disableStyleSelect(id) {
+          const select = document.getElementById(id);
+          if (select) select.disabled = true;
+        }
 
+        // The timeline covers whole years from the first to the last earthquake in the catalog, so
+        // quarter and year steps line up with the calendar.
+        const eventYears = Object.keys(earthquakesByYearMonth).map(key => parseInt(key.split('-')[0]));
+        const firstYear = eventYears.length > 0 ? Math.min(...eventYears) : 2001;
+        const lastYear = eventYears.length > 0 ? Math.max(...eventYears) : 2020;
         const allYearMonths = [];
-        for (let year = 2001; year <= 2020; year++) {
+        for (let year = firstYear; year <= lastYear; year++) {
           for (let month = 1; month <= 12; month++) {
-            const yearMonthKey = `${year}-${String(month).padStart(2, '0')}`;
-            if (earthquakesByYearMonth[yearMonthKey] || year < 2020 || (year === 2020 && month <= 12)) {
-              allYearMonths.push(yearMonthKey);
-            }
+            allYearMonths.push(`${year}-${String(month).padStart(2, '0')}`);
           }
         }
         
         const availableYearMonths = allYearMonths;
         const minYearMonth = availableYearMonths.length > 0 ? availableYearMonths[0] : "2001-01";
         const maxYearMonth = availableYearMonths.length > 0 ? availableYearMonths[availableYearMonths.length - 1] : "2020-12";
-        const defaultYearMonth = availableYearMonths.length > 0 ? availableYearMonths[availableYearMonths.length - 1] : "2020-12";
+        // Open on the latest year that has both events and GDP, so the choropleth starts filled in
+        // even when the catalog runs past the GDP series.
+        const gdpYears = new Set(Object.values(gdpCountries).flatMap(country =>
+          Object.keys(country.years).filter(year => country.years[year].gdp_total !== undefined).map(Number)
+        ));
+        const sharedYears = eventYears.filter(year => gdpYears.has(year));
+        const openingYear = sharedYears.length > 0 ? Math.max(...sharedYears) : lastYear;
+        const defaultYearMonth = availableYearMonths.includes(`${openingYear}-12`)
+          ? `${openingYear}-12`
+          : maxYearMonth;
         
         function formatYearMonth(yearMonthKey) {
           const [year, month] = yearMonthKey.split('-');
@@ -500,113 +1016,549 @@
         
         window.formatYearMonth = formatYearMonth;
         
-        const earthquakeMarkers = [];
-        const airportMarkers = [];
-        const portMarkers = [];
-        const powerplantMarkers = [];
-        const nuclearPlantMarkers = [];
+        const facilityMarkers = new Map();
+        const infrastructureLayers = {
+          airport: airportLayer,
+          port: portLayer,
+          powerplant: powerplantLayer,
+          nuclear_plant: nuclearPlantLayer
+        };
+        const highlightLayer = L.layerGroup().addTo(map);
 
-        function updateLayersForYearMonth(yearMonthKey) {
-          earthquakeLayer.clearLayers();
-          airportLayer.clearLayers();
-          portLayer.clearLayers();
-          powerplantLayer.clearLayers();
-          nuclearPlantLayer.clearLayers();
-
-          const yearMonthEarthquakes = earthquakesByYearMonth[yearMonthKey] || [];
-          const eventsToShow = yearMonthEarthquakes.slice(0, MAX_EVENTS);
-          const year = parseInt(yearMonthKey.split('-')[0]);
-          eventsToShow.forEach((event) => {
-            const color = getEventColor(event.tsunami_flag);
-            const radius = magnitudeToRadius(event.magnitude);
+        function facilityKey(dataset, recordId) {
+          return `${dataset}:${recordId}`;
+        }
+
+        function focusFacility(dataset, recordId, latitude, longitude) {
+          const layer = infrastructureLayers[dataset];
+          if (layer && !map.hasLayer(layer)) {
+            layer.addTo(map);
+          }
+
+          highlightLayer.clearLayers();
+          L.circleMarker([latitude, longitude], {
+            radius: 14,
+            color: "#facc15",
+            weight: 3,
+            fill: false,
+            interactive: false
+          }).addTo(highlightLayer);
+
+          // A facility outside the loaded area is drawn by the viewport query after flyTo, which
+          // then zooms until it is split out of its cluster.
+          pendingFocusKey = facilityKey(dataset, recordId);
+          if (!showPendingFocus(dataset)) {
+            map.flyTo([latitude, longitude], Math.max(map.getZoom(), 5));
+          }
+        }
 
+        function showPendingFocus(dataset) {
+          const marker = facilityMarkers.get(pendingFocusKey);
+          const layer = infrastructureLayers[dataset];
+          if (!marker || !pendingFocusKey.startsWith(`${dataset}:`) || !layer.hasLayer(marker)) {
+            return false;
+          }
+          pendingFocusKey = null;
+          layer.zoomToShowLayer(marker, () => {});
+          return true;
+        }
+
+        map.on("popupopen", (e) => {
+          const popupElement = e.popup.getElement();
+          if (!popupElement) return;
+          popupElement.querySelectorAll(".facility-link").forEach(link => {
+            link.addEventListener("click", (event) => {
+              event.preventDefault();
+              focusFacility(
+                link.dataset.dataset,
+                decodeURIComponent(link.dataset.id),
+                Number(link.dataset.lat),
+                Number(link.dataset.lng)
+              );
+            });
+          });
+        });
+
+        // Markers are created the first time a row is shown and reused after that; each update only
+        // adds the rows entering the visible set and removes the ones leaving it.
+        const earthquakeMarkers = new WeakMap();
+        const infrastructureMarkers = new WeakMap();
+        let shownEarthquakes = new Set();
+        const shownRows = {};
+        let infrastructureYear = null;
+        let shownYearMonth = null;
+        let pendingFocusKey = null;
+
+        // The slider steps by month, quarter or year. Each step shows a window of months ending with
+        // the step's last month, at least one step long, in which older months fade out.
+        const timeWindow = { stepMonths: 1, windowMonths: 1 };
+
+        function windowBounds(index) {
+          const start = Math.max(0, index) - (Math.max(0, index) % timeWindow.stepMonths);
+          const end = Math.min(start + timeWindow.stepMonths - 1, availableYearMonths.length - 1);
+          const length = Math.max(timeWindow.windowMonths, timeWindow.stepMonths);
+          return { start: Math.max(0, end - length + 1), end };
+        }
+
+        function formatWindow(index) {
+          const { start, end } = windowBounds(index);
+          const endLabel = formatYearMonth(availableYearMonths[end]);
+          return start === end ? endLabel : `${formatYearMonth(availableYearMonths[start])} – ${endLabel}`;
+        }
+
+        // A range is null until its slider is moved off the data's full extent; rows without a
+        // value then drop out. Empty selections match everything.
+        const filterState = {
+          ranges: {},
+          tsunamiOnly: false,
+          fuels: new Set(),
+          airportTypes: new Set(),
+          minCapacity: null
+        };
+        const filterCounts = {};
+
+        function passesFilters(row) {
+          if (row.dataset === "earthquake") {
+            if (filterState.tsunamiOnly && row.tsunami_flag !== 1) return false;
+            return EARTHQUAKE_RANGE_FILTERS.every(({ field }) => {
+              const range = filterState.ranges[field];
+              return !range || (row[field] !== null && row[field] >= range[0] && row[field] <= range[1]);
+            });
+          }
+          if (row.dataset === "powerplant") {
+            if (filterState.fuels.size > 0 && !filterState.fuels.has(row.primary_fuel)) return false;
+            return filterState.minCapacity === null || (row.capacity_mw !== null && row.capacity_mw >= filterState.minCapacity);
+          }
+          if (row.dataset === "airport") {
+            return filterState.airportTypes.size === 0 || filterState.airportTypes.has(row.feature_type);
+          }
+          return true;
+        }
+
+        // Power plants appear from their commissioning year onward. The inventory is a 2021 snapshot,
+        // so plants without a recorded start date are assumed to be operating in every year shown.
+        // Other facilities show in their own year, or in every year when they have none.
+        function isShownInYear(row, year) {
+          if (row.year === null) return true;
+          return row.dataset === "powerplant" ? row.year <= year : row.year === year;
+        }
+
+        function infrastructureStyleFor(row) {
+          if (row.dataset === "port") {
+            return getInfrastructureStyle("port", 8, portMarkerColor(row));
+          }
+          if (row.dataset === "nuclear_plant") {
+            return getInfrastructureStyle("nuclear_plant", nuclearMarkerSize(row, nuclearSizeRadius, maxNuclearPopulation[nuclearSizeRadius]));
+          }
+          return getInfrastructureStyle(row.dataset);
+        }
+
+        function syncLayer(layer, shown, visible, markerFor) {
+          const next = new Set(visible);
+          const leaving = [...shown].filter(row => !next.has(row)).map(markerFor);
+          const entering = visible.filter(row => !shown.has(row)).map(markerFor);
+          // Cluster groups take batches, which saves reclustering once per marker.
+          if (layer.addLayers) {
+            layer.removeLayers(leaving);
+            layer.addLayers(entering);
+          } else {
+            leaving.forEach(marker => layer.removeLayer(marker));
+            entering.forEach(marker => layer.addLayer(marker));
+          }
+          return next;
+        }
+
+        function infrastructureMarkerFor(row) {
+          if (!infrastructureMarkers.has(row)) {
+            const marker = L.circleMarker([row.latitude, row.longitude], {
+              ...infrastructureStyleFor(row),
+              renderer: infrastructureRenderer
+            }).bindPopup(() => buildInfrastructurePopup(row));
+            infrastructureMarkers.set(row, marker);
+            facilityMarkers.set(facilityKey(row.dataset, row.record_id), marker);
+          }
+          return infrastructureMarkers.get(row);
+        }
+
+        function earthquakeMarkerFor(event) {
+          if (!earthquakeMarkers.has(event)) {
             const marker = L.circleMarker([event.latitude, event.longitude], {
-              radius,
+              radius: magnitudeToRadius(event.magnitude),
               color: "#0f172a",
               weight: 1,
-              fillColor: color,
+              fillColor: getEventColor(event.tsunami_flag),
               fillOpacity: 0.8
-            })
-              .bindPopup(buildEarthquakePopup(event, gdpData))
-              .addTo(earthquakeLayer);
-            earthquakeMarkers.push(marker);
+            }).bindPopup(() => buildEarthquakePopup(event, gdpData, exposureByRecord[event.record_id], nearestByRecord[event.record_id]));
+            earthquakeMarkers.set(event, marker);
+          }
+          return earthquakeMarkers.get(event);
+        }
+
+        // Facilities are kept by record id across viewport queries, so a facility that stays in view
+        // keeps its row, side tables and marker.
+        const facilitiesById = {};
+        const viewportRequests = {};
+        const viewportTruncated = {};
+        const layerFileRequests = {};
+        let featureApiAvailable = true;
+
+        function cacheFacility(row) {
+          const facilities = facilitiesById[row.dataset] || (facilitiesById[row.dataset] = new Map());
+          if (!facilities.has(row.record_id)) {
+            if (row.dataset === "port") {
+              row.profile = portProfilesByRecord[row.record_id] || null;
+            } else if (row.dataset === "nuclear_plant") {
+              row.population = populationByRecord[row.record_id] || null;
+            }
+            facilities.set(row.record_id, row);
+          }
+          return facilities.get(row.record_id);
+        }
+
+        // The area queried reaches a quarter of a view past each edge, so clusters at the edge of the
+        // screen are counted in full and short pans stay within the loaded area.
+        function viewportBounds() {
+          return map.getBounds().pad(0.25);
+        }
+
+        // Without the dev server (e.g. on a static host) the layer file is loaded once and filtered in
+        // the browser, ranked the same way the API ranks it.
+        function queryLayerFile(dataset, year) {
+          if (!layerFileRequests[dataset]) {
+            layerFileRequests[dataset] = d3.json(LAYER_URLS[dataset]).then((collection) => {
+              const rows = parseLayerFeatures(dataset, collection);
+              return dataset === "powerplant"
+                ? rows.sort((a, b) => (b.capacity_mw ?? 0) - (a.capacity_mw ?? 0))
+                : rows;
+            });
+          }
+          const bounds = viewportBounds();
+          return layerFileRequests[dataset].then((rows) => {
+            const matches = rows.filter(row => isShownInYear(row, year)
+              && [-360, 0, 360].some(shift => bounds.contains([row.latitude, row.longitude + shift])));
+            return { rows: matches.slice(0, VIEWPORT_FEATURE_LIMIT), total: matches.length };
           });
+        }
 
-          const yearAirports = airportsByYear[year] || [];
-          yearAirports.slice(0, MAX_INFRASTRUCTURE).forEach((airport) => {
-            const marker = L.marker([airport.latitude, airport.longitude], {
-              icon: getInfrastructureIcon("airport")
-            })
-              .bindPopup(buildInfrastructurePopup(airport))
-              .addTo(airportLayer);
-            airportMarkers.push(marker);
+        function queryViewport(dataset, year, signal) {
+          if (!featureApiAvailable) {
+            return queryLayerFile(dataset, year);
+          }
+          const params = new URLSearchParams({
+            layer: dataset,
+            bbox: viewportBounds().toBBoxString(),
+            year,
+            limit: VIEWPORT_FEATURE_LIMIT
           });
+          return d3.json(`${FEATURES_API_URL}?${params}`, { signal })
+            .then(collection => ({ rows: parseLayerFeatures(dataset, collection), total: collection.total }))
+            .catch((error) => {
+              if (error.name === "AbortError") throw error;
+              if (featureApiAvailable) {
+                console.warn("Feature API unavailable, filtering layer files in the browser:", error);
+                featureApiAvailable = false;
+              }
+              return queryLayerFile(dataset, year);
+            });
+        }
+
+        // Asks for the facilities in the current area and year, dropping any request still in flight
+        // for the same layer so a fast pan only draws the final view.
+        function refreshInfrastructureLayer(dataset) {
+          if (!map.hasLayer(infrastructureLayers[dataset]) || infrastructureYear === null) return;
+          if (viewportRequests[dataset]) viewportRequests[dataset].abort();
+          const controller = new AbortController();
+          viewportRequests[dataset] = controller;
 
-          airportsNoYear.slice(0, MAX_INFRASTRUCTURE).forEach((airport) => {
-            const marker = L.marker([airport.latitude, airport.longitude], {
-              icon: getInfrastructureIcon("airport")
+          Promise.all([ensureLayerLoaded(dataset), queryViewport(dataset, infrastructureYear, controller.signal)])
+            .then(([, { rows, total }]) => {
+              if (controller.signal.aborted) return;
+              layerRows[dataset] = rows.map(cacheFacility);
+              viewportTruncated[dataset] = total > rows.length;
+              refreshFilterOptions();
+              renderInfrastructureLayer(dataset);
+              updateFilterCounts();
+              if (pendingFocusKey) showPendingFocus(dataset);
             })
-              .bindPopup(buildInfrastructurePopup(airport))
-              .addTo(airportLayer);
-            airportMarkers.push(marker);
+            .catch((error) => {
+              if (error.name !== "AbortError") {
+                console.error(`Unable to load ${dataset} facilities in view:`, error);
+              }
+            });
+        }
+
+        function refreshInfrastructure() {
+          Object.keys(infrastructureLayers).forEach(refreshInfrastructureLayer);
+        }
+
+        function renderInfrastructureLayer(dataset) {
+          const rows = layerRows[dataset];
+          if (!rows || infrastructureYear === null) return;
+          const inYear = rows.filter(row => isShownInYear(row, infrastructureYear));
+          const visible = inYear.filter(passesFilters);
+          filterCounts[dataset] = {
+            matching: visible.length,
+            total: inYear.length,
+            truncated: viewportTruncated[dataset] ? (dataset === "powerplant" ? "largest only" : "capped") : null
+          };
+          shownRows[dataset] = syncLayer(infrastructureLayers[dataset], shownRows[dataset] || new Set(), visible, infrastructureMarkerFor);
+        }
+
+        function restyleInfrastructureLayer(dataset) {
+          (facilitiesById[dataset] ? [...facilitiesById[dataset].values()] : []).forEach(row => {
+            if (infrastructureMarkers.has(row)) {
+              infrastructureMarkers.get(row).setStyle(infrastructureStyleFor(row));
+            }
           });
+        }
 
-          const yearPorts = portsByYear[year] || [];
-          yearPorts.slice(0, MAX_INFRASTRUCTURE).forEach((port) => {
-            const marker = L.marker([port.latitude, port.longitude], {
-              icon: getInfrastructureIcon("port")
-            })
-              .bindPopup(buildInfrastructurePopup(port))
-              .addTo(portLayer);
-            portMarkers.push(marker);
+        function updateLayersForYearMonth(yearMonthKey) {
+          const { start, end } = windowBounds(availableYearMonths.indexOf(yearMonthKey));
+          // Newest months first, so the MAX_EVENTS cap drops the oldest events in the window.
+          const windowEarthquakes = [];
+          const ageByEvent = new Map();
+          for (let index = end; index >= start; index--) {
+            (earthquakesByYearMonth[availableYearMonths[index]] || []).forEach(event => {
+              windowEarthquakes.push(event);
+              ageByEvent.set(event, end - index);
+            });
+          }
+          const matchingEarthquakes = windowEarthquakes.filter(passesFilters);
+          const eventsToShow = matchingEarthquakes.slice(0, MAX_EVENTS);
+          const year = parseInt(availableYearMonths[end].split('-')[0]);
+          shownEarthquakes = syncLayer(earthquakeLayer, shownEarthquakes, eventsToShow, earthquakeMarkerFor);
+          const span = end - start + 1;
+          eventsToShow.forEach(event => {
+            const fade = span > 1 ? 1 - 0.75 * ageByEvent.get(event) / (span - 1) : 1;
+            earthquakeMarkerFor(event).setStyle({ opacity: fade, fillOpacity: 0.8 * fade });
           });
-          portsNoYear.slice(0, MAX_INFRASTRUCTURE).forEach((port) => {
-            const marker = L.marker([port.latitude, port.longitude], {
-              icon: getInfrastructureIcon("port")
-            })
-              .bindPopup(buildInfrastructurePopup(port))
-              .addTo(portLayer);
-            portMarkers.push(marker);
+          if (layerRows.earthquake) {
+            filterCounts.earthquake = {
+              matching: eventsToShow.length,
+              total: windowEarthquakes.length,
+              truncated: matchingEarthquakes.length > eventsToShow.length ? "newest only" : null
+            };
+          }
+
+          shownYearMonth = yearMonthKey;
+          const yearChanged = year !== infrastructureYear;
+          infrastructureYear = year;
+          Object.keys(infrastructureLayers).forEach(renderInfrastructureLayer);
+          if (yearChanged) {
+            refreshInfrastructure();
+          }
+          updateFilterCounts();
+        }
+
+        earthquakeLayer.on("add", () => ensureLayerLoaded("earthquake"));
+        Object.entries(infrastructureLayers).forEach(([dataset, layer]) => {
+          layer.on("add", () => refreshInfrastructureLayer(dataset));
+        });
+        map.on("moveend zoomend", refreshInfrastructure);
+        earthquakeLayer.addTo(map);
+
+        const infrastructureStyleControl = L.control({ position: "topleft" });
+        infrastructureStyleControl.onAdd = function() {
+          const div = L.DomUtil.create("div", "choropleth-control");
+          const radiusOptions = NUCLEAR_POPULATION_RADII_KM
+            .map(radius => `<option value="${radius}">Population within ${radius} km (2010)</option>`)
+            .join("");
+          div.innerHTML = `
+            <label>Nuclear marker size
+              <select id="nuclear-size-radius">
+                <option value="">Uniform</option>
+                ${radiusOptions}
+              </select>
+            </label>
+            <label>Port color
+              <select id="port-color-mode">
+                <option value="">Uniform</option>
+                <option value="vulnerability">Tsunami vulnerability</option>
+              </select>
+            </label>
+          `;
+          div.querySelector("#nuclear-size-radius").addEventListener("change", (e) => {
+            nuclearSizeRadius = e.target.value ? Number(e.target.value) : null;
+            if (nuclearSizeRadius && !map.hasLayer(nuclearPlantLayer)) {
+              nuclearPlantLayer.addTo(map);
+            }
+            restyleInfrastructureLayer("nuclear_plant");
           });
+          div.querySelector("#port-color-mode").addEventListener("change", (e) => {
+            colorPortsByVulnerability = e.target.value === "vulnerability";
+            const portLegend = document.getElementById("port-vulnerability-legend");
+            if (portLegend) portLegend.style.display = colorPortsByVulnerability ? "" : "none";
+            if (colorPortsByVulnerability && !map.hasLayer(portLayer)) {
+              portLayer.addTo(map);
+            }
+            restyleInfrastructureLayer("port");
+          });
+          L.DomEvent.disableClickPropagation(div);
+          return div;
+        };
+        infrastructureStyleControl.addTo(map);
 
-          const yearPowerplants = powerplantsByYear[year] || [];
-          yearPowerplants.slice(0, MAX_INFRASTRUCTURE).forEach((plant) => {
-            const marker = L.marker([plant.latitude, plant.longitude], {
-              icon: getInfrastructureIcon("powerplant")
-            })
-              .bindPopup(buildInfrastructurePopup(plant))
-              .addTo(powerplantLayer);
-            powerplantMarkers.push(marker);
+        const filterPanel = L.control({ position: "topright" });
+        filterPanel.onAdd = function() {
+          const div = L.DomUtil.create("div", "choropleth-control filter-panel");
+          const rangeInputs = EARTHQUAKE_RANGE_FILTERS.map(({ field, label, step }) => `
+            <div class="filter-range" data-field="${field}">
+              <div class="filter-range-label">${label} <output></output></div>
+              <input type="range" data-bound="min" step="${step}" aria-label="${label} minimum" disabled />
+              <input type="range" data-bound="max" step="${step}" aria-label="${label} maximum" disabled />
+            </div>
+          `).join("");
+          div.innerHTML = `
+            <details>
+              <summary>Filters</summary>
+              <div class="filter-section">
+                <div class="filter-section-title">Earthquakes <span class="filter-count" data-dataset="earthquake"></span></div>
+                ${rangeInputs}
+                <label class="choropleth-toggle">
+                  <input type="checkbox" id="filter-tsunami-only" />
+                  Tsunami events only
+                </label>
+              </div>
+              <div class="filter-section">
+                <div class="filter-section-title">Power plants <span class="filter-count" data-dataset="powerplant"></span></div>
+                <label>Fuel <select id="filter-fuel" multiple size="4" disabled></select></label>
+                <label>Min. capacity (MW) <input type="number" id="filter-min-capacity" min="0" step="10" /></label>
+              </div>
+              <div class="filter-section">
+                <div class="filter-section-title">Airports <span class="filter-count" data-dataset="airport"></span></div>
+                <label>Type <select id="filter-airport-type" multiple size="4" disabled></select></label>
+              </div>
+              <button type="button" id="filter-reset">Reset filters</button>
+            </details>
+          `;
+
+          div.querySelectorAll(".filter-range").forEach(group => {
+            const field = group.dataset.field;
+            const [minInput, maxInput] = group.querySelectorAll("input");
+            const onInput = (event) => {
+              // Keep the thumbs from crossing by moving the other one along.
+              if (Number(minInput.value) > Number(maxInput.value)) {
+                if (event.target === minInput) maxInput.value = minInput.value;
+                else minInput.value = maxInput.value;
+              }
+              const low = Number(minInput.value);
+              const high = Number(maxInput.value);
+              const atExtent = low <= Number(minInput.min) && high >= Number(maxInput.max);
+              filterState.ranges[field] = atExtent ? null : [low, high];
+              updateRangeLabel(group);
+              applyFilters();
+            };
+            minInput.addEventListener("input", onInput);
+            maxInput.addEventListener("input", onInput);
           });
-          powerplantsNoYear.slice(0, MAX_INFRASTRUCTURE).forEach((plant) => {
-            const marker = L.marker([plant.latitude, plant.longitude], {
-              icon: getInfrastructureIcon("powerplant")
-            })
-              .bindPopup(buildInfrastructurePopup(plant))
-              .addTo(powerplantLayer);
-            powerplantMarkers.push(marker);
+          div.querySelector("#filter-tsunami-only").addEventListener("change", (e) => {
+            filterState.tsunamiOnly = e.target.checked;
+            applyFilters();
+          });
+          div.querySelector("#filter-fuel").addEventListener("change", (e) => {
+            filterState.fuels = new Set([...e.target.selectedOptions].map(option => option.value));
+            applyFilters("powerplant");
+          });
+          div.querySelector("#filter-min-capacity").addEventListener("input", (e) => {
+            const value = parseFloat(e.target.value);
+            filterState.minCapacity = Number.isFinite(value) && value > 0 ? value : null;
+            applyFilters("powerplant");
+          });
+          div.querySelector("#filter-airport-type").addEventListener("change", (e) => {
+            filterState.airportTypes = new Set([...e.target.selectedOptions].map(option => option.value));
+            applyFilters("airport");
           });
+          div.querySelector("#filter-reset").addEventListener("click", () => {
+            Object.assign(filterState, {
+              ranges: {},
+              tsunamiOnly: false,
+              fuels: new Set(),
+              airportTypes: new Set(),
+              minCapacity: null
+            });
+            div.querySelectorAll(".filter-range").forEach(group => {
+              const [minInput, maxInput] = group.querySelectorAll("input");
+              minInput.value = minInput.min;
+              maxInput.value = maxInput.max;
+              updateRangeLabel(group);
+            });
+            div.querySelector("#filter-tsunami-only").checked = false;
+            div.querySelector("#filter-min-capacity").value = "";
+            div.querySelectorAll("select[multiple] option").forEach(option => {
+              option.selected = false;
+            });
+            applyFilters();
+          });
+          L.DomEvent.disableClickPropagation(div);
+          L.DomEvent.disableScrollPropagation(div);
+          return div;
+        };
+        filterPanel.addTo(map);
 
-          const yearNuclearPlants = nuclearPlantsByYear[year] || [];
-          yearNuclearPlants.forEach((plant) => {
-            const marker = L.marker([plant.latitude, plant.longitude], {
-              icon: getInfrastructureIcon("nuclear_plant")
-            })
-              .bindPopup(buildInfrastructurePopup(plant))
-              .addTo(nuclearPlantLayer);
-            nuclearPlantMarkers.push(marker);
+        function updateRangeLabel(group) {
+          const [minInput, maxInput] = group.querySelectorAll("input");
+          group.querySelector("output").textContent = minInput.disabled
+            ? ""
+            : `${Number(minInput.value).toLocaleString()} – ${Number(maxInput.value).toLocaleString()}`;
+        }
+
+        // Facilities arrive a viewport at a time, so options are merged in as new values turn up,
+        // keeping whatever is already selected.
+        function fillMultiSelect(id, values) {
+          const select = document.getElementById(id);
+          if (!select) return;
+          const existing = [...select.options].map(option => option.value);
+          if (values.every(value => existing.includes(value))) return;
+          const selected = new Set([...select.selectedOptions].map(option => option.value));
+          select.innerHTML = "";
+          [...new Set([...existing, ...values])].sort().forEach(value => {
+            select.add(new Option(value, value, false, selected.has(value)));
           });
-          nuclearPlantsNoYear.forEach((plant) => {
-            const marker = L.marker([plant.latitude, plant.longitude], {
-              icon: getInfrastructureIcon("nuclear_plant")
-            })
-              .bindPopup(buildInfrastructurePopup(plant))
-              .addTo(nuclearPlantLayer);
-            nuclearPlantMarkers.push(marker);
+          select.disabled = false;
+        }
+
+        // Slider bounds and select options are filled in as each layer finishes loading.
+        function refreshFilterOptions() {
+          if (layerRows.earthquake) {
+            document.querySelectorAll(".filter-range").forEach(group => {
+              const [minInput, maxInput] = group.querySelectorAll("input");
+              if (!minInput.disabled) return;
+              const [low, high] = d3.extent(layerRows.earthquake, row => row[group.dataset.field]);
+              if (low === undefined) return;
+              [minInput, maxInput].forEach(input => {
+                input.min = Math.floor(low);
+                input.max = Math.ceil(high);
+                input.disabled = false;
+              });
+              minInput.value = minInput.min;
+              maxInput.value = maxInput.max;
+              updateRangeLabel(group);
+            });
+          }
+          const distinct = (rows, field) => [...new Set(rows.map(row => row[field]).filter(Boolean))].sort();
+          if (layerRows.powerplant) fillMultiSelect("filter-fuel", distinct(layerRows.powerplant, "primary_fuel"));
+          if (layerRows.airport) fillMultiSelect("filter-airport-type", distinct(layerRows.airport, "feature_type"));
+        }
+
+        function updateFilterCounts() {
+          document.querySelectorAll(".filter-count").forEach(element => {
+            const counts = filterCounts[element.dataset.dataset];
+            element.textContent = counts
+              ? `${counts.matching.toLocaleString()} of ${counts.total.toLocaleString()}${element.dataset.dataset === "earthquake" ? "" : " in view"}${counts.truncated ? ` (${counts.truncated})` : ""}`
+              : "not loaded";
           });
         }
 
-        earthquakeLayer.addTo(map);
+        // Filtering a facility layer that is switched off turns it on, like the style selects do.
+        function applyFilters(dataset) {
+          const layer = dataset ? infrastructureLayers[dataset] : null;
+          if (layer && !map.hasLayer(layer)) {
+            layer.addTo(map);
+          }
+          if (shownYearMonth) {
+            updateLayersForYearMonth(shownYearMonth);
+          }
+        }
         
         window.updateLayersForYearMonth = updateLayersForYearMonth;
         window.yearMonthData = {
@@ -622,7 +1574,7 @@
         if (currentYearMonthIndex === -1) currentYearMonthIndex = availableYearMonths.length - 1;
         let isPlaying = false;
         let playInterval = null;
-        const playSpeed = 500; // milliseconds per month
+        const playSpeed = 500; // milliseconds per step
         let isMapLocked = false;
         
         const sliderContainer = document.createElement("div");
@@ -635,8 +1587,18 @@
         sliderContainer.innerHTML = `
           <div class="time-slider-container">
             <div class="time-slider-header">
-              <span class="current-year-display" id="current-year-display">${formatYearMonth(defaultYearMonth)}</span>
+              <span class="current-year-display" id="current-year-display">${formatWindow(currentYearMonthIndex)}</span>
               <div class="time-slider-buttons">
+                <select class="time-slider-select" id="time-granularity" aria-label="Step" title="Slider step">
+                  <option value="1">Month</option>
+                  <option value="3">Quarter</option>
+                  <option value="12">Year</option>
+                </select>
+                <select class="time-slider-select" id="time-window" aria-label="Window" title="Months of earthquakes shown">
+                  <option value="1">1 month</option>
+                  <option value="12">12 months</option>
+                  <option value="Infinity">Cumulative</option>
+                </select>
                 <button class="lock-btn" id="lock-btn" aria-label="Lock Map" title="Lock/Unlock Map View">
                   <span id="lock-icon">🔒</span>
                 </button>
@@ -649,6 +1611,7 @@
               </div>
             </div>
             <div class="time-slider-wrapper">
+              <svg class="time-histogram" id="time-histogram"></svg>
               <input 
                 type="range" 
                 id="time-slider" 
@@ -682,16 +1645,85 @@
             e.stopPropagation();
           });
         }
+
+        // Monthly event counts drawn above the slider with tsunami events stacked on top. The bars
+        // sit under the matching slider positions and clicking one jumps to that month.
+        function renderEventHistogram() {
+          const svg = d3.select("#time-histogram");
+          if (svg.empty()) return;
+          const counts = availableYearMonths.map((key, index) => {
+            const events = earthquakesByYearMonth[key] || [];
+            const tsunami = events.filter(event => event.tsunami_flag === 1).length;
+            return { key, index, earthquake: events.length - tsunami, tsunami };
+          });
+          const series = d3.stack().keys(["earthquake", "tsunami"])(counts);
+          const y = d3.scaleLinear()
+            .domain([0, d3.max(counts, d => d.earthquake + d.tsunami) || 1])
+            .range([TIME_HISTOGRAM_HEIGHT, 0]);
+
+          svg
+            .attr("viewBox", `0 0 ${Math.max(availableYearMonths.length - 1, 1)} ${TIME_HISTOGRAM_HEIGHT}`)
+            .attr("preserveAspectRatio", "none");
+
+          svg.append("rect")
+            .attr("class", "time-histogram-window")
+            .attr("y", 0)
+            .attr("height", TIME_HISTOGRAM_HEIGHT);
+
+          svg.selectAll("g.time-histogram-series")
+            .data(series)
+            .join("g")
+            .attr("class", "time-histogram-series")
+            .attr("fill", d => getEventColor(d.key === "tsunami" ? 1 : 0))
+            .selectAll("rect")
+            .data(d => d)
+            .join("rect")
+            .attr("x", d => d.data.index - 0.4)
+            .attr("width", 0.8)
+            .attr("y", d => y(d[1]))
+            .attr("height", d => y(d[0]) - y(d[1]));
+
+          // Full-height click targets, so quiet months are as easy to hit as busy ones.
+          svg.selectAll("rect.time-histogram-target")
+            .data(counts)
+            .join("rect")
+            .attr("class", "time-histogram-target")
+            .attr("x", d => d.index - 0.5)
+            .attr("width", 1)
+            .attr("y", 0)
+            .attr("height", TIME_HISTOGRAM_HEIGHT)
+            .on("click", (event, d) => {
+              stopPlaying();
+              updateYearMonth(d.index);
+            })
+            .append("title")
+            .text(d => {
+              const total = d.earthquake + d.tsunami;
+              return `${formatYearMonth(d.key)}: ${total} event${total === 1 ? "" : "s"}, ${d.tsunami} with tsunami`;
+            });
+        }
+
+        function updateHistogramWindow(index) {
+          const { start, end } = windowBounds(index);
+          d3.select("#time-histogram .time-histogram-window")
+            .attr("x", start - 0.5)
+            .attr("width", end - start + 1);
+        }
+
+        renderEventHistogram();
+        updateHistogramWindow(currentYearMonthIndex);
         
         function updateYearMonth(index) {
           if (index < 0 || index >= availableYearMonths.length) return;
+          index -= index % timeWindow.stepMonths;
           currentYearMonthIndex = index;
           const yearMonthKey = availableYearMonths[index];
           
           const slider = document.getElementById("time-slider");
           const display = document.getElementById("current-year-display");
           if (slider) slider.value = index;
-          if (display) display.textContent = formatYearMonth(yearMonthKey);
+          if (display) display.textContent = formatWindow(index);
+          updateHistogramWindow(index);
           
           const year = parseInt(yearMonthKey.split('-')[0]);
           
@@ -711,7 +1743,7 @@
           if (playIcon) playIcon.textContent = "⏸";
           
           playInterval = setInterval(() => {
-            let nextIndex = currentYearMonthIndex + 1;
+            let nextIndex = currentYearMonthIndex + timeWindow.stepMonths;
             if (nextIndex >= availableYearMonths.length) {
               nextIndex = 0;
             }
@@ -794,7 +1826,24 @@
           const playPauseBtn = document.getElementById("play-pause-btn");
           const lockBtn = document.getElementById("lock-btn");
           const fullscreenBtn = document.getElementById("fullscreen-btn");
+          const granularitySelect = document.getElementById("time-granularity");
+          const windowSelect = document.getElementById("time-window");
           
+          if (granularitySelect) {
+            granularitySelect.addEventListener("change", (e) => {
+              timeWindow.stepMonths = Number(e.target.value);
+              if (slider) slider.step = timeWindow.stepMonths;
+              updateYearMonth(currentYearMonthIndex);
+            });
+          }
+
+          if (windowSelect) {
+            windowSelect.addEventListener("change", (e) => {
+              timeWindow.windowMonths = Number(e.target.value);
+              updateYearMonth(currentYearMonthIndex);
+            });
+          }
+
           if (slider) {
             slider.addEventListener("mousedown", (e) => {
               e.stopPropagation();
@@ -865,8 +1914,10 @@
         if (typeof topojson === "undefined") {
           console.error("topojson library not loaded");
         } else {
-          d3.json(TOPOJSON_URL)
-            .then((topology) => {
+          // Polygons take their codes from the build, which assigns events to countries with the
+          // same table, so event counts and GDP line up with the polygon they are drawn on.
+          Promise.all([d3.json(TOPOJSON_URL), d3.json(COUNTRY_CODES_URL)])
+            .then(([topology, codesByName]) => {
               const countriesTopo = topology.objects.countries;
               if (!countriesTopo) {
                 console.error("No 'countries' object found in TopoJSON. Available objects:", Object.keys(topology.objects));
@@ -917,131 +1968,146 @@
                 return !countryName.includes('antarctica') && !countryName.includes('antartica');
               });
               
-              const { nameToCodeMap, codeToNameMap } = buildCountryNameToCodeMap(gdpTotal, gdpPerCapita);
-              
               const yearMonthData = window.yearMonthData || { defaultYearMonth: "2020-12" };
               const defaultYearMonth = yearMonthData.defaultYearMonth || "2020-12";
               const defaultYear = parseInt(defaultYearMonth.split('-')[0]);
               
               console.log("Loading GDP choropleth for default year-month", defaultYearMonth);
-              console.log("Name to code map size:", Object.keys(nameToCodeMap).length);
+              console.log("Country codes for", Object.keys(codesByName).length, "polygons");
               console.log("GDP data keys sample:", Object.keys(gdpData).slice(0, 10));
               
-              const gdpValuesForYear = gdpTotal.filter(r => r.year === defaultYear).map(r => r.value).filter(v => v !== null);
+              const gdpValuesForYear = Object.values(gdpCountries)
+                .map(country => country.years[defaultYear] && country.years[defaultYear].gdp_total)
+                .filter(v => typeof v === "number");
               const maxGdp = gdpValuesForYear.length > 0 ? Math.max(...gdpValuesForYear) : 1;
               const minGdp = gdpValuesForYear.length > 0 ? Math.min(...gdpValuesForYear) : 0;
               console.log("GDP range for year", defaultYear, ":", formatNumber(minGdp), "to", formatNumber(maxGdp));
 
-              let gdpLayer = null;
-              
-              function updateGdpLayer(year) {
-                if (gdpLayer) {
-                  map.removeLayer(gdpLayer);
-                }
+              const validCountries = {
+                type: "FeatureCollection",
+                features: countries.features.filter(feature => {
+                  if (!feature.geometry || !feature.geometry.coordinates) return false;
+                  try {
+                    const coords = feature.geometry.coordinates;
+                    const flat = coords.flat(Infinity);
+                    const lons = flat.filter((_, i) => i % 2 === 0);
+                    const validLons = lons.every(lon => lon >= -180 && lon <= 180);
+                    return validLons;
+                  } catch (e) {
+                    return false;
+                  }
+                })
+              };
 
-                const gdpValuesForYear = gdpTotal
-                  .filter(r => r.year === year && r.value !== null && Number.isFinite(r.value))
-                  .map(r => r.value);
-                
-                const sortedGdpValues = [...gdpValuesForYear].sort((a, b) => a - b);
-                
-                const gdpValueToRank = new Map();
-                if (sortedGdpValues.length > 0) {
-                  const valuePositions = new Map();
-                  sortedGdpValues.forEach((value, index) => {
-                    if (!valuePositions.has(value)) {
-                      valuePositions.set(value, []);
-                    }
-                    valuePositions.get(value).push(index);
-                  });
-                  
-                  const totalCountries = sortedGdpValues.length;
-                  valuePositions.forEach((positions, value) => {
-                    const avgPosition = positions.reduce((sum, pos) => sum + pos, 0) / positions.length;
-                    const rank = totalCountries > 1 ? avgPosition / (totalCountries - 1) : 0.5;
-                    gdpValueToRank.set(value, rank);
-                  });
+              const countryCodes = new Map();
+              validCountries.features.forEach(feature => {
+                const countryName = getCountryName(feature.properties);
+                countryCodes.set(feature, {
+                  countryName,
+                  countryCode: codesByName[countryName] || null
+                });
+              });
+
+              let currentGdpYear = defaultYear;
+              let countryValues = new Map();
+              let gdpScale = null;
+
+              const isExcluded = (entry) => choroplethState.excludeShocks && entry.isShock;
+
+              function gdpStyle(feature) {
+                const entry = countryValues.get(feature);
+                if (isExcluded(entry)) {
+                  return {
+                    fillColor: SHOCK_FILL_COLOR,
+                    fillOpacity: 0.6,
+                    color: "#333",
+                    weight: 0.5,
+                    dashArray: "3",
+                    opacity: 1.0
+                  };
                 }
-                
-                console.log(`GDP ranking for year ${year}: ${sortedGdpValues.length} countries, range: ${formatNumber(sortedGdpValues[0])} to ${formatNumber(sortedGdpValues[sortedGdpValues.length - 1])}`);
-
-                const validCountries = {
-                  type: "FeatureCollection",
-                  features: countries.features.filter(feature => {
-                    if (!feature.geometry || !feature.geometry.coordinates) return false;
-                    try {
-                      const coords = feature.geometry.coordinates;
-                      const flat = coords.flat(Infinity);
-                      const lons = flat.filter((_, i) => i % 2 === 0);
-                      const validLons = lons.every(lon => lon >= -180 && lon <= 180);
-                      return validLons;
-                    } catch (e) {
-                      return false;
-                    }
-                  })
+                return {
+                  fillColor: gdpScale.colorFor(entry.value),
+                  fillOpacity: entry.value !== null ? 0.95 : 0.2,
+                  color: "#333",
+                  weight: 0.5,
+                  dashArray: null,
+                  opacity: 1.0
                 };
-                
-                gdpLayer = L.geoJSON(validCountries, {
-                  style: (feature) => {
-                    const countryName = getCountryName(feature.properties);
-                    const countryCode = findCountryCode(countryName, nameToCodeMap, codeToNameMap);
-                    const gdpKey = countryCode ? `${countryCode}_${year}` : null;
-                    const gdp = gdpKey ? gdpData[gdpKey] : null;
-                    const value = gdp ? gdp.total : null;
-                    
-                    let rank = null;
-                    if (value !== null && Number.isFinite(value) && gdpValueToRank.has(value)) {
-                      rank = gdpValueToRank.get(value);
-                    }
-                    
-                    const color = getGdpColorByRank(rank);
-                    
-                    if (Math.random() < 0.01) {
-                      const rankStr = rank !== null ? rank.toFixed(3) : "n/a";
-                      console.log("Country:", countryName, "GDP:", value ? formatNumber(value) : "n/a", "Rank:", rankStr, "Color:", color);
-                    }
-                    
-                    return {
-                      fillColor: color,
-                      fillOpacity: value !== null ? 0.95 : 0.2,
-                      color: "#333",
-                      weight: 0.5,
-                      opacity: 1.0
-                    };
-                  },
-                  onEachFeature: (feature, layer) => {
-                    const countryName = getCountryName(feature.properties);
-                    const countryCode = findCountryCode(countryName, nameToCodeMap, codeToNameMap);
-                    const gdpKey = countryCode ? `${countryCode}_${year}` : null;
-                    const gdp = gdpKey ? gdpData[gdpKey] : null;
-                    
-                    const popupContent = `
-                      <div class="popup">
-                        <strong>${countryName}</strong><br/>
-                        <strong>Country Code:</strong> ${countryCode || "n/a"}<br/>
-                        <strong>Year:</strong> ${year}<br/>
-                        <strong>GDP Total:</strong> ${gdp && gdp.total ? formatNumber(gdp.total) : "n/a"}<br/>
-                        <strong>GDP per Capita:</strong> ${gdp && gdp.perCapita ? formatNumber(gdp.perCapita) : "n/a"}
-                      </div>
-                    `;
-                    
-                    layer.bindPopup(popupContent);
-                    }
-                  });
+              }
 
-                try {
-                  if (gdpLayer) {
-                    gdpLayer.addTo(map);
-                    gdpLayer.bringToBack();
-                    console.log("GDP layer added to map for year", year, "with", countries.features.length, "countries");
-                  } else {
-                    console.error("Failed to create GDP layer");
-                  }
-                } catch (error) {
-                  console.error("Error adding GDP layer to map:", error);
+              function buildGdpPopup(feature) {
+                const metric = CHOROPLETH_METRICS[choroplethState.metric] || CHOROPLETH_METRICS.gdp_total;
+                const { countryName, countryCode, gdp, eventCount, value, isShock } = countryValues.get(feature);
+                const shockNote = isShock
+                  ? `<br/><em>Flagged as a GDP shock year${choroplethState.excludeShocks ? " (left out of ranking)" : ""}</em>`
+                  : "";
+
+                return `
+                  <div class="popup">
+                    <strong>${countryName}</strong><br/>
+                    <strong>Country Code:</strong> ${countryCode || "n/a"}<br/>
+                    <strong>Year:</strong> ${currentGdpYear}<br/>
+                    <strong>${metric.label} (map):</strong> ${metric.format(value)}<br/>
+                    <strong>GDP Total:</strong> ${gdp && gdp.total ? formatNumber(gdp.total) : "n/a"}<br/>
+                    ${buildGdpDetails(gdp)}<br/>
+                    <strong>Earthquake Events:</strong> ${eventCount ?? "n/a"}
+                    ${shockNote}
+                  </div>
+                `;
+              }
+
+              // The country polygons are built once; each year only their values and styles change.
+              // Popups are built when opened so they always show the current year.
+              const gdpLayer = L.geoJSON(validCountries, {
+                style: { color: "#333", weight: 0.5, opacity: 1.0, fillOpacity: 0.2 },
+                onEachFeature: (feature, layer) => {
+                  layer.bindPopup(() => buildGdpPopup(feature));
                 }
+              });
+
+              function updateGdpLayer(year) {
+                currentGdpYear = year;
+                const metric = CHOROPLETH_METRICS[choroplethState.metric] || CHOROPLETH_METRICS.gdp_total;
+
+                countryValues = new Map();
+                validCountries.features.forEach(feature => {
+                  const { countryName, countryCode } = countryCodes.get(feature);
+                  const gdpKey = countryCode ? `${countryCode}_${year}` : null;
+                  const gdp = gdpKey ? gdpData[gdpKey] : null;
+                  const eventCount = gdpKey ? (eventCountsByKey[gdpKey] || 0) : null;
+                  const value = metric.value(gdp, eventCount);
+                  countryValues.set(feature, {
+                    countryName,
+                    countryCode,
+                    gdp,
+                    eventCount,
+                    isShock: Boolean(metric.shockField && gdp && gdp.shocks && gdp.shocks[metric.shockField]),
+                    value: value === undefined || value === null || !Number.isFinite(value) ? null : value
+                  });
+                });
+
+                gdpScale = buildChoroplethScale(
+                  [...countryValues.values()].filter(entry => !isExcluded(entry)).map(entry => entry.value),
+                  choroplethState.scale,
+                  metric.format
+                );
+                updateChoroplethLegend(metric, gdpScale);
+
+                console.log(`${metric.label} (${choroplethState.scale}) for year ${year}: range ${gdpScale.labels[0]} to ${gdpScale.labels[1]}`);
+
+                gdpLayer.setStyle(gdpStyle);
+              }
+
+              try {
+                gdpLayer.addTo(map);
+                gdpLayer.bringToBack();
+                console.log("GDP layer added to map with", validCountries.features.length, "countries");
+              } catch (error) {
+                console.error("Error adding GDP layer to map:", error);
               }
 
+              window.refreshGdpLayer = () => updateGdpLayer(currentGdpYear);
               window.updateGdpLayer = updateGdpLayer;
               updateGdpLayer(defaultYear);
               
@@ -0,0 +1,140 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { createSpatialIndex, distanceKm } from '../scripts/spatial-index.js';
+
+// Seeded so a failure reproduces; Math.random would give a different point set every run.
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const EDGE_POINTS = [
+  { latitude: 90, longitude: 0 },
+  { latitude: -90, longitude: 45 },
+  { latitude: 89.99, longitude: 179.99 },
+  { latitude: -89.95, longitude: -120 },
+  { latitude: 0, longitude: 180 },
+  { latitude: 0, longitude: -180 },
+  { latitude: 0.5, longitude: 179.95 },
+  { latitude: -0.5, longitude: -179.95 },
+  { latitude: 65.5, longitude: -179.2 },
+  { latitude: -17.8, longitude: 178.4 },
+  { latitude: 0, longitude: 0 },
+  { latitude: 0, longitude: 0 }
+];
+
+function buildItems() {
+  const random = createRandom(42);
+  const items = EDGE_POINTS.map((point, id) => ({ id, ...point }));
+  for (let i = 0; i < 1500; i += 1) {
+    items.push({ id: items.length, latitude: random() * 180 - 90, longitude: random() * 360 - 180 });
+  }
+  // Dense band along the antimeridian and a cluster near each pole.
+  for (let i = 0; i < 300; i += 1) {
+    const side = i % 2 === 0 ? 1 : -1;
+    items.push({ id: items.length, latitude: random() * 120 - 60, longitude: side * (180 - random() * 2) });
+    items.push({ id: items.length, latitude: side * (85 + random() * 5), longitude: random() * 360 - 180 });
+  }
+  items.push({ id: items.length, latitude: NaN, longitude: 10 }, { id: items.length + 1, latitude: 10, longitude: null });
+  return items;
+}
+
+const ITEMS = buildItems();
+const ORIGINS = [
+  ...EDGE_POINTS,
+  { latitude: 45, longitude: 179.999 },
+  { latitude: -45, longitude: -179.999 },
+  { latitude: 80, longitude: 90 },
+  ...Array.from({ length: 40 }, (_, i) => ITEMS[100 + i * 37])
+];
+const RADII_KM = [0, 1, 25, 100, 250, 1000, 5000, 15000, 20015.09, 25000];
+
+function bruteWithinRadius(origin, radiusKm) {
+  return ITEMS
+    .map((item) => ({ item, distanceKm: distanceKm(origin, item) }))
+    .filter(({ distanceKm: distance }) => distance <= radiusKm);
+}
+
+describe('spatial index matches a brute-force haversine scan', () => {
+  const index = createSpatialIndex(ITEMS);
+
+  test('skips items without coordinates', () => {
+    assert.equal(index.size, ITEMS.length - 2);
+  });
+
+  test('withinRadius returns the same items, distances and order', () => {
+    ORIGINS.forEach((origin) => {
+      RADII_KM.forEach((radiusKm) => {
+        const expected = bruteWithinRadius(origin, radiusKm);
+        const actual = index.withinRadius(origin, radiusKm);
+        assert.deepEqual(
+          actual.map(({ item, distanceKm: distance }) => [item.id, distance]),
+          expected.map(({ item, distanceKm: distance }) => [item.id, distance]),
+          `origin ${origin.latitude},${origin.longitude} radius ${radiusKm} km`
+        );
+      });
+    });
+  });
+
+  test('countWithinRadius agrees with the scan', () => {
+    ORIGINS.forEach((origin) => {
+      RADII_KM.forEach((radiusKm) => {
+        assert.equal(
+          index.countWithinRadius(origin, radiusKm),
+          bruteWithinRadius(origin, radiusKm).length,
+          `origin ${origin.latitude},${origin.longitude} radius ${radiusKm} km`
+        );
+      });
+    });
+  });
+
+  test('nearest returns the k closest, ties in insertion order', () => {
+    ORIGINS.forEach((origin) => {
+      [1, 5, 50].forEach((k) => {
+        const expected = bruteWithinRadius(origin, Infinity)
+          .sort((a, b) => a.distanceKm - b.distanceKm)
+          .slice(0, k);
+        assert.deepEqual(
+          index.nearest(origin, k).map(({ item }) => item.id),
+          expected.map(({ item }) => item.id),
+          `origin ${origin.latitude},${origin.longitude} k ${k}`
+        );
+      });
+    });
+  });
+
+  test('withinBounds handles boxes across the antimeridian', () => {
+    const boxes = [
+      { south: -10, west: 170, north: 70, east: -170 },
+      { south: 80, west: -180, north: 90, east: 180 },
+      { south: -30, west: -20, north: 40, east: 60 },
+      { south: -90, west: 179, north: 90, east: -179 }
+    ];
+    boxes.forEach((box) => {
+      const crosses = box.west > box.east;
+      const expected = ITEMS.filter(({ latitude, longitude }) =>
+        Number.isFinite(latitude) && Number.isFinite(longitude)
+        && latitude >= box.south && latitude <= box.north
+        && (crosses ? longitude >= box.west || longitude <= box.east : longitude >= box.west && longitude <= box.east));
+      assert.deepEqual(index.withinBounds(box).map((item) => item.id), expected.map((item) => item.id), JSON.stringify(box));
+    });
+  });
+
+  test('gives the same answers at other cell sizes', () => {
+    [0.25, 5, 45].forEach((cellSizeDeg) => {
+      const coarse = createSpatialIndex(ITEMS, { cellSizeDeg });
+      ORIGINS.slice(0, 16).forEach((origin) => {
+        [25, 1000].forEach((radiusKm) => {
+          assert.equal(coarse.countWithinRadius(origin, radiusKm), bruteWithinRadius(origin, radiusKm).length);
+        });
+        assert.deepEqual(
+          coarse.nearest(origin, 5).map(({ item }) => item.id),
+          index.nearest(origin, 5).map(({ item }) => item.id)
+        );
+      });
+    });
+  });
+});
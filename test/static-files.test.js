@@ -0,0 +1,212 @@
+import assert from "assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import zlib from "zlib";
+import { createStaticHandler } from "../scripts/static-files.js";
+
+const CSV = `year,value\n${Array.from({ length: 2000 }, (_, i) => `${2000 + (i % 20)},${i}`).join("\n")}\n`;
+const INDEX_HTML = "<!DOCTYPE html><html><body><h1>Map</h1></body></html>";
+
+let fixtureDir;
+let server;
+let port;
+
+// Sends the request exactly as given (no URL normalisation) and collects the raw body.
+function request(requestPath, { method = "GET", headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port, path: requestPath, method, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  fixtureDir = mkdtempSync(path.join(os.tmpdir(), "static-files-"));
+  const root = path.join(fixtureDir, "site");
+  mkdirSync(path.join(root, "data"), { recursive: true });
+  mkdirSync(path.join(root, "docs"));
+  writeFileSync(path.join(root, "index.html"), INDEX_HTML);
+  writeFileSync(path.join(root, "docs", "index.html"), "<p>docs</p>");
+  writeFileSync(path.join(root, "data", "table.csv"), CSV);
+  writeFileSync(path.join(root, "data", "tiny.json"), "{}");
+  writeFileSync(path.join(root, ".env"), "SECRET=1");
+  writeFileSync(path.join(fixtureDir, "outside.txt"), "outside the root");
+  symlinkSync(path.join(fixtureDir, "outside.txt"), path.join(root, "escape.txt"));
+
+  const handle = createStaticHandler({
+    root,
+    transformHtml: (html) => html.replace("</body>", "<script>injected</script></body>")
+  });
+  server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+describe("path confinement", () => {
+  for (const attempt of ["/../outside.txt", "/%2e%2e/outside.txt", "/data/..%2f..%2foutside.txt", "/..%5coutside.txt"]) {
+    test(`refuses ${attempt}`, async () => {
+      const res = await request(attempt);
+      assert.ok([403, 404].includes(res.status), `status ${res.status}`);
+      assert.ok(!res.body.toString().includes("outside the root"));
+    });
+  }
+
+  test("refuses symlinks that lead out of the root", async () => {
+    const res = await request("/escape.txt");
+    assert.equal(res.status, 403);
+  });
+
+  test("hides dotfiles", async () => {
+    const res = await request("/.env");
+    assert.equal(res.status, 404);
+  });
+
+  test("rejects malformed percent-encoding and NUL bytes", async () => {
+    assert.equal((await request("/%E0%A4%A")).status, 400);
+    assert.equal((await request("/index.html%00.txt")).status, 400);
+  });
+
+  test("serves index.html for directories", async () => {
+    const res = await request("/docs/");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), "<p>docs</p>");
+  });
+
+  test("returns 404 for missing files", async () => {
+    assert.equal((await request("/missing.csv")).status, 404);
+  });
+});
+
+describe("methods", () => {
+  test("HEAD sends the GET headers without a body", async () => {
+    const get = await request("/data/table.csv");
+    const head = await request("/data/table.csv", { method: "HEAD" });
+    assert.equal(head.status, 200);
+    assert.equal(head.body.length, 0);
+    assert.equal(head.headers["content-length"], String(Buffer.byteLength(CSV)));
+    assert.equal(head.headers.etag, get.headers.etag);
+  });
+
+  test("other methods get 405 with Allow", async () => {
+    const res = await request("/index.html", { method: "POST" });
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.allow, "GET, HEAD");
+  });
+});
+
+describe("conditional requests", () => {
+  test("sends validators and revalidation headers", async () => {
+    const res = await request("/data/table.csv");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["content-type"], "text/csv; charset=utf-8");
+    assert.equal(res.headers["cache-control"], "no-cache");
+    assert.match(res.headers.etag, /^"[0-9a-f]+-[0-9a-f]+"$/);
+    assert.ok(res.headers["last-modified"]);
+  });
+
+  test("If-None-Match with the current ETag gives 304", async () => {
+    const { headers } = await request("/data/table.csv");
+    const res = await request("/data/table.csv", { headers: { "If-None-Match": headers.etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.body.length, 0);
+  });
+
+  test("a stale ETag gets the full file", async () => {
+    const res = await request("/data/table.csv", { headers: { "If-None-Match": '"0-0"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), CSV);
+  });
+
+  test("If-Modified-Since at or after Last-Modified gives 304", async () => {
+    const { headers } = await request("/data/table.csv");
+    const res = await request("/data/table.csv", { headers: { "If-Modified-Since": headers["last-modified"] } });
+    assert.equal(res.status, 304);
+  });
+});
+
+describe("compression", () => {
+  test("prefers brotli when accepted", async () => {
+    const res = await request("/data/table.csv", { headers: { "Accept-Encoding": "gzip, deflate, br" } });
+    assert.equal(res.headers["content-encoding"], "br");
+    assert.equal(res.headers.vary, "Accept-Encoding");
+    assert.equal(zlib.brotliDecompressSync(res.body).toString(), CSV);
+  });
+
+  test("falls back to gzip and respects q=0", async () => {
+    const res = await request("/data/table.csv", { headers: { "Accept-Encoding": "br;q=0, gzip" } });
+    assert.equal(res.headers["content-encoding"], "gzip");
+    assert.equal(zlib.gunzipSync(res.body).toString(), CSV);
+  });
+
+  test("compressed responses have their own ETag", async () => {
+    const plain = await request("/data/table.csv");
+    const gzip = await request("/data/table.csv", { headers: { "Accept-Encoding": "gzip" } });
+    assert.notEqual(plain.headers.etag, gzip.headers.etag);
+    const revalidated = await request("/data/table.csv", {
+      headers: { "Accept-Encoding": "gzip", "If-None-Match": gzip.headers.etag }
+    });
+    assert.equal(revalidated.status, 304);
+  });
+
+  test("leaves small files and unaccepting clients uncompressed", async () => {
+    const tiny = await request("/data/tiny.json", { headers: { "Accept-Encoding": "gzip" } });
+    assert.equal(tiny.headers["content-encoding"], undefined);
+    const identity = await request("/data/table.csv");
+    assert.equal(identity.headers["content-encoding"], undefined);
+    assert.equal(identity.body.toString(), CSV);
+  });
+});
+
+describe("range requests", () => {
+  test("serves a single byte range uncompressed", async () => {
+    const res = await request("/data/table.csv", { headers: { Range: "bytes=0-9", "Accept-Encoding": "gzip" } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers["content-range"], `bytes 0-9/${Buffer.byteLength(CSV)}`);
+    assert.equal(res.headers["content-encoding"], undefined);
+    assert.equal(res.body.toString(), CSV.slice(0, 10));
+  });
+
+  test("supports open-ended and suffix ranges", async () => {
+    const open = await request("/data/table.csv", { headers: { Range: "bytes=100-" } });
+    assert.equal(open.body.toString(), CSV.slice(100));
+    const suffix = await request("/data/table.csv", { headers: { Range: "bytes=-5" } });
+    assert.equal(suffix.body.toString(), CSV.slice(-5));
+  });
+
+  test("answers 416 for ranges past the end", async () => {
+    const res = await request("/data/table.csv", { headers: { Range: "bytes=999999-" } });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers["content-range"], `bytes */${Buffer.byteLength(CSV)}`);
+  });
+
+  test("ignores the range when If-Range no longer matches", async () => {
+    const res = await request("/data/table.csv", { headers: { Range: "bytes=0-9", "If-Range": '"0-0"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), CSV);
+  });
+
+  test("honours the range when If-Range matches", async () => {
+    const { headers } = await request("/data/table.csv");
+    const res = await request("/data/table.csv", { headers: { Range: "bytes=0-9", "If-Range": headers.etag } });
+    assert.equal(res.status, 206);
+  });
+});
+
+test("applies transformHtml to pages", async () => {
+  const res = await request("/");
+  assert.equal(res.status, 200);
+  assert.match(res.body.toString(), /<script>injected<\/script><\/body>/);
+  assert.equal(res.headers["content-length"], String(res.body.length));
+});